@@ -1,4 +1,7 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
 
 // Get all users with pagination, search, and filtering
 exports.getUsers = async (req, res) => {
@@ -103,8 +106,10 @@ exports.updateUserRole = async (req, res) => {
     }
     
     // Update user role
+    const before = auditSnapshot('User', user);
     user.role = role;
     await user.save();
+    await recordAudit(req, 'user.updateRole', 'User', { entity: user, before });
     
     res.json({
       user: {
@@ -140,7 +145,12 @@ exports.getUserDetails = async (req, res) => {
 };
 
 const Interview = require('../models/Interview');
-const Payment = require('../models/Payment');
+const { issueRefund } = require('../utils/refunds');
+const { REVIEW_STATUSES } = require('../utils/noShow');
+const { changeInterviewStatus } = require('../utils/interviewStatus');
+
+// Statuses an admin can resolve a flagged interview to
+const RESOLUTION_STATUSES = ['completed', 'cancelled', 'no-show-candidate', 'no-show-interviewer'];
 
 // Get all interviews with filters for admin
 exports.getAllInterviews = async (req, res) => {
@@ -161,7 +171,7 @@ exports.getAllInterviews = async (req, res) => {
         query.status = 'scheduled';
         // Only include future scheduled interviews
         query.scheduledDate = { $gt: new Date() };
-      } else if (['in-progress', 'completed', 'cancelled'].includes(status)) {
+      } else if (['in-progress', 'completed', 'cancelled', ...REVIEW_STATUSES].includes(status)) {
         query.status = status;
       }
     }
@@ -221,3 +231,139 @@ exports.getAllInterviews = async (req, res) => {
     res.status(500).send('Server error');
   }
 };
+
+// Get interviews flagged as possible no-shows that still need a decision
+exports.getInterviewsForReview = async (req, res) => {
+  try {
+    const interviews = await Interview.find({
+      status: { $in: REVIEW_STATUSES },
+      'reviewResolution.resolvedAt': { $exists: false }
+    })
+      .populate('candidate', 'name email')
+      .populate('interviewer', 'name email')
+      .populate('noShowReports.reportedBy', 'name email role')
+      .populate('paymentId')
+      .sort({ scheduledDate: 1 });
+
+    res.json(interviews);
+  } catch (err) {
+    console.error('Error fetching interviews for review:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Resolve a flagged interview to its final status
+exports.resolveInterviewReview = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!RESOLUTION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${RESOLUTION_STATUSES.join(', ')}` });
+    }
+
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    if (!REVIEW_STATUSES.includes(interview.status) || interview.reviewResolution.resolvedAt) {
+      return res.status(400).json({ message: 'This interview is not waiting for review' });
+    }
+
+    const before = auditSnapshot('Interview', interview);
+    const previousStatus = interview.status;
+    const statusError = changeInterviewStatus(interview, status, {
+      actor: req.user.id,
+      role: 'admin',
+      reason: note || 'Resolved after review'
+    });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+
+    interview.reviewResolution = {
+      resolvedBy: req.user.id,
+      previousStatus,
+      note,
+      resolvedAt: new Date()
+    };
+    await interview.save();
+    await recordAudit(req, 'interview.resolveReview', 'Interview', { entity: interview, before });
+
+    // The candidate is owed a refund when the session did not happen through no fault of their own
+    if (['no-show-interviewer', 'cancelled'].includes(status)) {
+      await issueRefund(interview, {
+        cause: 'interviewer',
+        reason: status === 'no-show-interviewer'
+          ? 'Interviewer did not join the interview'
+          : 'Interview cancelled after review' + (note ? ': ' + note : ''),
+        req
+      });
+    }
+
+    res.json(interview);
+  } catch (err) {
+    console.error('Error resolving interview review:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Query the audit log by entity, actor, action and date range
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const { entityType, entityId, actor, action, from, to } = req.query;
+
+    const query = {};
+
+    if (entityType) {
+      query.entityType = entityType;
+    }
+
+    for (const [field, value] of [['entityId', entityId], ['actor', actor]]) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({ message: `Invalid ${field}` });
+        }
+        query[field] = value;
+      }
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      logs,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('Error fetching audit logs:', err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,222 @@
+const { DateTime } = require('luxon');
+const AvailabilityRule = require('../models/AvailabilityRule');
+const { validationResult } = require('express-validator');
+const {
+  materializeRule,
+  removeFutureUnbookedSlots
+} = require('../utils/availabilityRules');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+const { getActiveInterviewType, getInvalidTypeMessage } = require('../utils/interviewTypes');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate rule fields and convert dates into the rule's timezone.
+// Returns { error } or { values } with the normalized fields.
+const normalizeRuleInput = async (input) => {
+  const {
+    interviewType,
+    daysOfWeek,
+    startTime,
+    endTime,
+    timeZone,
+    startDate,
+    endDate,
+    weeks,
+    excludedDates
+  } = input;
+
+  const type = await getActiveInterviewType(interviewType);
+  if (!type) {
+    return { error: await getInvalidTypeMessage() };
+  }
+
+  if (
+    !Array.isArray(daysOfWeek) ||
+    daysOfWeek.length === 0 ||
+    !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return { error: 'Days of week must be a non-empty array of integers between 0 (Sunday) and 6 (Saturday)' };
+  }
+
+  if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+    return { error: 'Start time and end time must be in HH:mm format' };
+  }
+
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(zone)) {
+    return { error: 'Invalid timezone' };
+  }
+
+  const windowMinutes =
+    (Number(endTime.slice(0, 2)) * 60 + Number(endTime.slice(3))) -
+    (Number(startTime.slice(0, 2)) * 60 + Number(startTime.slice(3)));
+  if (windowMinutes < type.duration) {
+    return { error: `The time window must fit at least one ${type.duration} minute ${type.name} slot` };
+  }
+
+  const start = startDate
+    ? DateTime.fromISO(startDate, { zone }).startOf('day')
+    : DateTime.now().setZone(zone).startOf('day');
+  if (!start.isValid) {
+    return { error: 'Invalid start date' };
+  }
+
+  let end;
+  if (endDate) {
+    end = DateTime.fromISO(endDate, { zone }).endOf('day');
+  } else if (weeks) {
+    end = start.plus({ weeks: parseInt(weeks) }).minus({ days: 1 }).endOf('day');
+  }
+  if (!end || !end.isValid) {
+    return { error: 'Either a valid end date or number of weeks is required' };
+  }
+  if (end < start) {
+    return { error: 'End date must be after start date' };
+  }
+
+  const exclusions = excludedDates || [];
+  if (!Array.isArray(exclusions) || !exclusions.every(date => DATE_PATTERN.test(date))) {
+    return { error: 'Excluded dates must be an array of yyyy-MM-dd strings' };
+  }
+
+  return {
+    values: {
+      interviewType,
+      daysOfWeek,
+      startTime,
+      endTime,
+      timeZone: zone,
+      startDate: start.toJSDate(),
+      endDate: end.toJSDate(),
+      excludedDates: exclusions
+    }
+  };
+};
+
+// Create a recurring availability rule and generate its slots
+exports.createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { error, values } = await normalizeRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rule = new AvailabilityRule({
+      ...values,
+      interviewer: req.user.id
+    });
+
+    await rule.save();
+
+    const createdSlots = await materializeRule(rule);
+
+    res.status(201).json({
+      message: `Availability rule created with ${createdSlots.length} slots`,
+      rule,
+      slots: createdSlots
+    });
+  } catch (err) {
+    console.error('Error creating availability rule:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get the logged-in interviewer's availability rules
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await AvailabilityRule.find({ interviewer: req.user.id })
+      .sort({ createdAt: -1 });
+
+    res.json(rules);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Update a rule; only future unbooked occurrences are regenerated
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await AvailabilityRule.findById(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ message: 'Availability rule not found' });
+    }
+
+    if (rule.interviewer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to update this rule' });
+    }
+
+    // Merge the stored rule with the requested changes before validating
+    const current = {
+      interviewType: rule.interviewType,
+      daysOfWeek: rule.daysOfWeek,
+      startTime: rule.startTime,
+      endTime: rule.endTime,
+      timeZone: rule.timeZone,
+      startDate: DateTime.fromJSDate(rule.startDate).setZone(rule.timeZone).toISODate(),
+      endDate: DateTime.fromJSDate(rule.endDate).setZone(rule.timeZone).toISODate(),
+      excludedDates: rule.excludedDates
+    };
+    const merged = { ...current, ...req.body };
+    if (req.body.weeks && !req.body.endDate) {
+      delete merged.endDate;
+    }
+
+    const { error, values } = await normalizeRuleInput(merged);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    Object.assign(rule, values);
+    if (typeof req.body.isActive === 'boolean') {
+      rule.isActive = req.body.isActive;
+    }
+    // The future slots are regenerated from scratch for the changed rule
+    rule.materializedUntil = undefined;
+    await rule.save();
+
+    const removedCount = await removeFutureUnbookedSlots(rule._id);
+    const createdSlots = await materializeRule(rule);
+
+    res.json({
+      message: 'Availability rule updated successfully',
+      rule,
+      removedSlots: removedCount,
+      createdSlots: createdSlots.length
+    });
+  } catch (err) {
+    console.error('Error updating availability rule:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Delete a rule along with its future unbooked slots
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await AvailabilityRule.findById(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ message: 'Availability rule not found' });
+    }
+
+    if (rule.interviewer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to delete this rule' });
+    }
+
+    const removedCount = await removeFutureUnbookedSlots(rule._id);
+    await AvailabilityRule.findByIdAndDelete(rule._id);
+
+    res.json({
+      message: 'Availability rule deleted successfully',
+      removedSlots: removedCount
+    });
+  } catch (err) {
+    console.error('Error deleting availability rule:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,122 @@
+const { DateTime } = require('luxon');
+const Blackout = require('../models/Blackout');
+const InterviewSlot = require('../models/InterviewSlot');
+const { validationResult } = require('express-validator');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a blackout boundary; plain dates cover whole days in the given timezone
+const parseBoundary = (value, zone, isEnd) => {
+  if (DATE_PATTERN.test(value)) {
+    const day = DateTime.fromISO(value, { zone });
+    return isEnd ? day.plus({ days: 1 }).startOf('day') : day.startOf('day');
+  }
+  return DateTime.fromISO(value, { zone });
+};
+
+// Get the logged-in interviewer's current and upcoming blackouts
+exports.getBlackouts = async (req, res) => {
+  try {
+    const blackouts = await Blackout.find({
+      interviewer: req.user.id,
+      endDate: { $gt: new Date() }
+    }).sort({ startDate: 1 });
+
+    res.json(blackouts);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Add a blackout period, optionally deleting the unbooked slots it covers
+exports.createBlackout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, reason, timeZone, deleteSlots } = req.body;
+
+    const zone = timeZone || DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(zone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    const start = parseBoundary(startDate, zone, false);
+    const end = parseBoundary(endDate, zone, true);
+    if (!start.isValid || !end.isValid) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    if (end <= start) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+    if (end <= DateTime.now()) {
+      return res.status(400).json({ message: 'Blackout must end in the future' });
+    }
+
+    const blackout = new Blackout({
+      interviewer: req.user.id,
+      startDate: start.toJSDate(),
+      endDate: end.toJSDate(),
+      reason
+    });
+
+    await blackout.save();
+
+    const covered = {
+      interviewer: req.user.id,
+      startTime: { $lt: blackout.endDate },
+      endTime: { $gt: blackout.startDate }
+    };
+
+    // Slots held by a candidate who is paying right now are left alone
+    let deletedSlots = 0;
+    if (deleteSlots === true) {
+      const result = await InterviewSlot.deleteMany({
+        ...covered,
+        isBooked: false,
+        $or: [{ holdExpiresAt: null }, { holdExpiresAt: { $lte: new Date() } }]
+      });
+      deletedSlots = result.deletedCount;
+    }
+
+    // Booked interviews are never cancelled automatically; the interviewer has to release them
+    const bookedSlots = await InterviewSlot.find({ ...covered, isBooked: true })
+      .select('startTime endTime interviewType interview')
+      .sort({ startTime: 1 });
+
+    res.status(201).json({
+      message: 'Blackout added successfully',
+      blackout,
+      deletedSlots,
+      bookedSlots
+    });
+  } catch (err) {
+    console.error('Error creating blackout:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Remove a blackout period
+exports.deleteBlackout = async (req, res) => {
+  try {
+    const blackout = await Blackout.findById(req.params.blackoutId);
+    if (!blackout) {
+      return res.status(404).json({ message: 'Blackout not found' });
+    }
+
+    if (blackout.interviewer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to delete this blackout' });
+    }
+
+    await Blackout.findByIdAndDelete(blackout._id);
+
+    res.json({ message: 'Blackout removed successfully' });
+  } catch (err) {
+    console.error('Error deleting blackout:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const Interview = require('../models/Interview');
+const User = require('../models/User');
+const { buildInterviewFeed } = require('../utils/ics');
+
+// Build the subscription URLs for a calendar token
+const getFeedUrls = (req, token) => {
+  const host = req.get('host');
+  return {
+    webcalUrl: `webcal://${host}/api/calendar/feed/${token}.ics`,
+    httpsUrl: `${req.protocol}://${host}/api/calendar/feed/${token}.ics`
+  };
+};
+
+// Get the logged-in user's calendar feed URLs, creating the token on first use
+exports.getFeedLinks = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(32).toString('hex');
+      await user.save();
+    }
+
+    res.json(getFeedUrls(req, user.calendarToken));
+  } catch (err) {
+    console.error('Error getting calendar feed links:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Replace the calendar token, invalidating previously shared feed URLs
+exports.regenerateFeedToken = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.calendarToken = crypto.randomBytes(32).toString('hex');
+    await user.save();
+
+    res.json({
+      message: 'Calendar feed URL regenerated. Update your calendar subscription.',
+      ...getFeedUrls(req, user.calendarToken)
+    });
+  } catch (err) {
+    console.error('Error regenerating calendar feed token:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Serve the iCalendar feed of a user's upcoming interviews; the token in the URL is the credential
+exports.getFeed = async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, '');
+    const user = token ? await User.findOne({ calendarToken: token }) : null;
+    if (!user) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    // Keep today's interviews in the feed so clients do not drop them early
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const interviews = await Interview.find({
+      $or: [{ candidate: user._id }, { interviewer: user._id }],
+      status: { $in: ['scheduled', 'in-progress'] },
+      scheduledDate: { $gte: since }
+    })
+      .populate('candidate', 'name email')
+      .populate('interviewer', 'name email')
+      .sort({ scheduledDate: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="s30-mocks.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(buildInterviewFeed(interviews, `S30 Mocks - ${user.name}`));
+  } catch (err) {
+    console.error('Error serving calendar feed:', err);
+    res.status(500).send('Server error');
+  }
+};
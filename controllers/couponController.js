@@ -0,0 +1,183 @@
+const Coupon = require('../models/Coupon');
+const InterviewSlot = require('../models/InterviewSlot');
+const { validationResult } = require('express-validator');
+const { applyCoupon } = require('../utils/coupons');
+const { getSlotPrice } = require('../utils/pricing');
+
+const COUPON_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'interviewTypes',
+  'maxUses',
+  'maxUsesPerUser',
+  'firstInterviewOnly',
+  'expiresAt',
+  'isActive'
+];
+
+const pickCouponValues = (body) =>
+  COUPON_FIELDS.reduce((values, field) => {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+    return values;
+  }, {});
+
+const getDiscountValueError = ({ discountType, discountValue }) => {
+  if (discountType === 'percentage' && discountValue > 100) {
+    return 'A percentage discount cannot be more than 100';
+  }
+  return null;
+};
+
+// Get all coupons (admin only)
+exports.getCoupons = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (err) {
+    console.error('Error fetching coupons:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Create a coupon (admin only)
+exports.createCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const discountError = getDiscountValueError(req.body);
+    if (discountError) {
+      return res.status(400).json({ message: discountError });
+    }
+
+    const code = req.body.code.trim().toUpperCase();
+    const existing = await Coupon.findOne({ code });
+    if (existing) {
+      return res.status(400).json({ message: `Coupon ${code} already exists` });
+    }
+
+    const coupon = new Coupon({
+      ...pickCouponValues(req.body),
+      code,
+      createdBy: req.user.id
+    });
+    await coupon.save();
+
+    res.status(201).json({
+      message: `Coupon ${coupon.code} created successfully`,
+      coupon
+    });
+  } catch (err) {
+    console.error('Error creating coupon:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Update a coupon (admin only). The code cannot change because payments refer to it.
+exports.updateCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (req.body.code && req.body.code.trim().toUpperCase() !== coupon.code) {
+      return res.status(400).json({ message: 'Coupon code cannot be changed' });
+    }
+
+    Object.assign(coupon, pickCouponValues(req.body));
+
+    const discountError = getDiscountValueError(coupon);
+    if (discountError) {
+      return res.status(400).json({ message: discountError });
+    }
+
+    await coupon.save();
+
+    res.json({
+      message: `Coupon ${coupon.code} updated successfully`,
+      coupon
+    });
+  } catch (err) {
+    console.error('Error updating coupon:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Deactivate a coupon (admin only). Payments that already used it are unaffected.
+exports.deactivateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    coupon.isActive = false;
+    await coupon.save();
+
+    res.json({
+      message: `Coupon ${coupon.code} deactivated successfully`,
+      coupon
+    });
+  } catch (err) {
+    console.error('Error deactivating coupon:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Preview what a coupon takes off the price of a slot
+exports.validateCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, slotId } = req.body;
+
+    const slot = await InterviewSlot.findById(slotId);
+    if (!slot) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+
+    // Same slot price the pre-booking payment will charge
+    const pricing = await getSlotPrice(slot);
+    if (!pricing) {
+      return res.status(404).json({ message: `Price for ${slot.interviewType} interviews not found` });
+    }
+
+    const price = pricing.price;
+    const { coupon, discount, error } = await applyCoupon(code, {
+      userId: req.user.id,
+      interviewType: slot.interviewType,
+      price
+    });
+    if (error) {
+      return res.status(400).json({ valid: false, message: error });
+    }
+
+    res.json({
+      valid: true,
+      code: coupon.code,
+      description: coupon.description,
+      price,
+      discountAmount: discount,
+      finalAmount: price - discount,
+      currency: pricing.currency || 'INR'
+    });
+  } catch (err) {
+    console.error('Error validating coupon:', err);
+    res.status(500).send('Server error');
+  }
+};
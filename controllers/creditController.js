@@ -0,0 +1,60 @@
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { getCreditBalance, addCredit, getCreditHistory } = require('../utils/credits');
+
+// Get the current user's credit balance and ledger
+exports.getMyCredits = async (req, res) => {
+  try {
+    const balance = await getCreditBalance(req.user.id);
+    const transactions = await getCreditHistory(req.user.id);
+
+    res.json({ balance, transactions });
+  } catch (err) {
+    console.error('Error fetching credits:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Get a user's credit balance and ledger
+exports.getUserCredits = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name email creditBalance');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const transactions = await getCreditHistory(user._id, parseInt(req.query.limit) || 50);
+
+    res.json({ user, balance: user.creditBalance || 0, transactions });
+  } catch (err) {
+    console.error('Error fetching user credits:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Grant credit to a user, e.g. as a goodwill gesture or promotion
+exports.grantCredit = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const amount = parseInt(req.body.amount);
+    const { reason } = req.body;
+
+    const transaction = await addCredit(req.params.userId, amount, {
+      source: 'admin-grant',
+      reason,
+      createdBy: req.user.id
+    });
+    if (!transaction) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(201).json({ balance: transaction.balanceAfter, transaction });
+  } catch (err) {
+    console.error('Error granting credit:', err.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -1,5 +1,6 @@
 const Interview = require('../models/Interview');
 const Payment = require('../models/Payment');
+const { getPackageSummary } = require('../utils/packages');
 
 // Get dashboard stats for the logged-in user
 exports.getDashboardStats = async (req, res) => {
@@ -75,6 +76,11 @@ exports.getDashboardStats = async (req, res) => {
         status: { $in: ['pending', 'rejected'] }
       });
       stats.pendingPayments = pendingPaymentsCount;
+      
+      // Prepaid packages: credits left, expiry dates and which interviews used them
+      const packageSummary = await getPackageSummary(userId);
+      stats.packageCredits = packageSummary.remainingCredits;
+      stats.packages = packageSummary.packages;
     }
     
     res.json(stats);
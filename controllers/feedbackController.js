@@ -3,6 +3,8 @@ const Interview = require('../models/Interview');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const { sendFeedbackNotification } = require('../utils/email');
+const { changeInterviewStatus } = require('../utils/interviewStatus');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
 
 // Create feedback for an interview
 exports.createFeedback = async (req, res) => {
@@ -47,6 +49,18 @@ exports.createFeedback = async (req, res) => {
       });
     }
     
+    const interviewBefore = auditSnapshot('Interview', interview);
+    
+    // Feedback completes the interview, so check the transition before saving anything
+    const statusError = changeInterviewStatus(interview, 'completed', {
+      actor: req.user.id,
+      role: 'interviewer',
+      reason: 'Feedback submitted'
+    });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+    
     // Create new feedback
     const feedback = new Feedback({
       interview: interviewId,
@@ -62,10 +76,12 @@ exports.createFeedback = async (req, res) => {
 
     await feedback.save();
     
-    // Update interview status to completed
-    interview.status = 'completed';
+    // Save the completed status
     await interview.save();
     
+    await recordAudit(req, 'feedback.create', 'Feedback', { entity: feedback });
+    await recordAudit(req, 'interview.complete', 'Interview', { entity: interview, before: interviewBefore });
+    
     // Get candidate and admin details for email notification
     const candidate = await User.findById(interview.candidate);
     const interviewer = await User.findById(interview.interviewer);
@@ -180,6 +196,8 @@ exports.updateFeedback = async (req, res) => {
       });
     }
     
+    const before = auditSnapshot('Feedback', feedback);
+    
     // Update feedback fields
     if (codingAndDebugging) feedback.codingAndDebugging = codingAndDebugging;
     if (communicationScore) feedback.communicationScore = communicationScore;
@@ -189,6 +207,7 @@ exports.updateFeedback = async (req, res) => {
     if (additionalComments) feedback.additionalComments = additionalComments;
     
     await feedback.save();
+    await recordAudit(req, 'feedback.update', 'Feedback', { entity: feedback, before });
     
     res.json(feedback);
   } catch (err) {
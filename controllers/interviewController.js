@@ -1,14 +1,37 @@
 const Interview = require('../models/Interview');
 const User = require('../models/User');
+const InterviewSlot = require('../models/InterviewSlot');
+const Payment = require('../models/Payment');
 const { validationResult } = require('express-validator');
+const { scheduleInterviewReminder, cancelInterviewReminder } = require('../utils/scheduler');
+const {
+  notHeldByOthers,
+  claimSlot,
+  attachInterviewToSlot,
+  releaseSlot
+} = require('../utils/slotBooking');
+const { offerSlotToWaitlist, fulfillWaitlistOffer } = require('../utils/waitlist');
+const { filterBookableSlots, checkSlotLimits } = require('../utils/interviewerLimits');
+const { REVIEW_STATUSES, getNoShowStatus } = require('../utils/noShow');
+const { getActorRole, changeInterviewStatus } = require('../utils/interviewStatus');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+const { issueRefund } = require('../utils/refunds');
 const { 
   sendEmail,
   sendInterviewBookingNotification,
   sendInterviewCancellationNotification,
   sendInterviewBookingConfirmation,
-  sendInterviewCancellationConfirmation
+  sendInterviewCancellationConfirmation,
+  sendInterviewRescheduleNotification,
+  sendInterviewerChangeNotification,
+  sendInterviewerCancellationNotification
 } = require('../utils/email');
 
+// Reschedules must happen at least this many hours before the interview starts
+const RESCHEDULE_CUTOFF_HOURS = parseInt(process.env.RESCHEDULE_CUTOFF_HOURS) || 24;
+// Maximum number of times a single booking can be rescheduled
+const MAX_RESCHEDULES = parseInt(process.env.MAX_RESCHEDULES) || 2;
+
 // Create a new interview
 exports.createInterview = async (req, res) => {
   try {
@@ -55,6 +78,7 @@ exports.createInterview = async (req, res) => {
     });
 
     await interview.save();
+    await recordAudit(req, 'interview.create', 'Interview', { entity: interview });
     
     // Get candidate, interviewer, and admin details for email notification
     const candidate = await User.findById(req.user.id);
@@ -172,24 +196,33 @@ exports.cancelInterview = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to cancel this interview' });
     }
     
-    // Check if interview can be cancelled (only scheduled interviews can be cancelled)
-    if (interview.status !== 'scheduled') {
-      return res.status(400).json({ message: 'Only scheduled interviews can be cancelled' });
-    }
+    const before = auditSnapshot('Interview', interview);
     
-    // Update interview status to cancelled
-    interview.status = 'cancelled';
+    // Update interview status to cancelled (only scheduled interviews can be cancelled)
+    const statusError = changeInterviewStatus(interview, 'cancelled', {
+      actor: req.user.id,
+      role: getActorRole(interview, req.user),
+      reason: req.body.reason || 'Cancelled by candidate'
+    });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
     await interview.save();
+    await recordAudit(req, 'interview.cancel', 'Interview', { entity: interview, before });
+    
+    // Candidates get a refund based on how late they cancelled, or the full amount as
+    // wallet credit if they ask for it; admin cancellations are refunded in full
+    const settlement = await issueRefund(interview, {
+      cause: req.user.role === 'admin' ? 'interviewer' : 'candidate',
+      reason: req.body.reason || (req.user.role === 'admin' ? 'Cancelled by admin' : 'Cancelled by candidate'),
+      asCredit: req.body.refundAs === 'credit',
+      req
+    });
     
     // If the interview was booked from a slot, make the slot available again
     if (interview.slot) {
-      const InterviewSlot = require('../models/InterviewSlot');
-      const slot = await InterviewSlot.findById(interview.slot);
-      
-      if (slot) {
-        slot.isBooked = false;
-        await slot.save();
-      }
+      await releaseSlot(interview.slot);
+      await offerSlotToWaitlist(interview.slot);
     }
     
     // Get candidate, interviewer, and admin details for email notification
@@ -254,7 +287,426 @@ S30 Mocks System`
       // Continue with the response even if email fails
     }
     
-    res.json({ message: 'Interview cancelled successfully', interview });
+    res.json({
+      message: 'Interview cancelled successfully',
+      interview,
+      refund: settlement ? settlement.refund : null,
+      creditIssued: settlement ? settlement.credit : 0,
+      packageCreditReturned: settlement ? !!settlement.packageCreditReturned : false
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Reschedule an interview to another free slot (for candidates)
+exports.rescheduleInterview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { slotId } = req.body;
+    
+    let interview = await Interview.findById(req.params.id);
+    
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    
+    // Check if user is authorized to reschedule this interview
+    if (interview.candidate.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to reschedule this interview' });
+    }
+    
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled interviews can be rescheduled' });
+    }
+    
+    // Enforce the reschedule cutoff before the interview starts
+    const cutoff = new Date(interview.scheduledDate.getTime() - RESCHEDULE_CUTOFF_HOURS * 60 * 60 * 1000);
+    if (new Date() > cutoff) {
+      return res.status(400).json({
+        message: `Interviews can only be rescheduled up to ${RESCHEDULE_CUTOFF_HOURS} hours before the start time`
+      });
+    }
+    
+    if (interview.rescheduleCount >= MAX_RESCHEDULES) {
+      return res.status(400).json({
+        message: `This interview has already been rescheduled the maximum of ${MAX_RESCHEDULES} times`
+      });
+    }
+    
+    // The payment moves with the interview, so it must already be paid
+    const payment = interview.paymentId ? await Payment.findById(interview.paymentId) : null;
+    if (!payment || !['submitted', 'verified'].includes(payment.status)) {
+      return res.status(400).json({ message: 'Only paid interviews can be rescheduled' });
+    }
+    
+    const newSlot = await InterviewSlot.findById(slotId).populate('interviewer', 'role');
+    if (!newSlot) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+    
+    if (interview.slot && interview.slot.toString() === newSlot._id.toString()) {
+      return res.status(400).json({ message: 'Interview is already booked in this slot' });
+    }
+    
+    if (!newSlot.interviewer || newSlot.interviewer.role !== 'interviewer') {
+      return res.status(400).json({ message: 'This slot is no longer available' });
+    }
+    
+    // The price was paid for this interview type, so the new slot must match it
+    if (newSlot.interviewType !== interview.interviewType) {
+      return res.status(400).json({ message: `Interviews can only be moved to another ${interview.interviewType} slot` });
+    }
+    
+    if (newSlot.startTime <= new Date()) {
+      return res.status(400).json({ message: 'The new slot must be in the future' });
+    }
+    
+    // Atomically claim the new slot before touching the interview
+    const claimedSlot = await claimSlot(newSlot._id, interview.candidate);
+    if (!claimedSlot) {
+      return res.status(409).json({ message: 'Slot is already booked or held by another candidate' });
+    }
+    
+    // Check the caps once the slot is claimed, so a concurrent booking cannot take the same place
+    const limitViolation = await checkSlotLimits(claimedSlot, { ignoredInterviewId: interview._id });
+    if (limitViolation) {
+      await releaseSlot(claimedSlot._id);
+      return res.status(409).json({ message: limitViolation });
+    }
+    
+    const before = auditSnapshot('Interview', interview);
+    const previousSlotId = interview.slot;
+    const previousDate = interview.scheduledDate;
+    const previousInterviewerId = interview.interviewer;
+    const interviewerChanged = previousInterviewerId.toString() !== claimedSlot.interviewer.toString();
+    const newInterviewer = await User.findById(claimedSlot.interviewer);
+    
+    const update = {
+      $set: {
+        scheduledDate: claimedSlot.startTime,
+        slot: claimedSlot._id,
+        interviewer: claimedSlot.interviewer,
+        timeZone: claimedSlot.timeZone || interview.timeZone
+      },
+      $inc: { rescheduleCount: 1, calendarSequence: 1 },
+      $push: {
+        rescheduleHistory: {
+          fromSlot: previousSlotId,
+          toSlot: claimedSlot._id,
+          fromDate: previousDate,
+          toDate: claimedSlot.startTime,
+          fromInterviewer: previousInterviewerId,
+          toInterviewer: claimedSlot.interviewer,
+          rescheduledBy: req.user.id
+        }
+      }
+    };
+    if (interviewerChanged) {
+      update.$set.meetingLink = newInterviewer?.defaultMeetingLink || 'ping support team in whatsapp for link';
+      update.$unset = { meetingPassword: 1 };
+    }
+    
+    // Only move the interview if it is still in the slot it was read from, so two
+    // concurrent reschedules cannot both succeed and leave a slot booked for nothing.
+    // The calendar sequence is bumped here as the save hook does not run for updates.
+    let rescheduled;
+    try {
+      rescheduled = await Interview.findOneAndUpdate(
+        { _id: interview._id, slot: previousSlotId || null, status: 'scheduled' },
+        update,
+        { new: true }
+      );
+      if (rescheduled) {
+        await attachInterviewToSlot(claimedSlot._id, rescheduled._id);
+      }
+    } catch (rescheduleError) {
+      // Give the new slot back; the interview keeps its original booking
+      await releaseSlot(claimedSlot._id);
+      throw rescheduleError;
+    }
+    
+    if (!rescheduled) {
+      await releaseSlot(claimedSlot._id);
+      return res.status(409).json({ message: 'This interview was changed in the meantime. Please reload it and try again.' });
+    }
+    interview = rescheduled;
+    
+    await recordAudit(req, 'interview.reschedule', 'Interview', { entity: interview, before });
+    await fulfillWaitlistOffer(interview.candidate, claimedSlot._id);
+    
+    // Free the old slot for other candidates
+    if (previousSlotId) {
+      await releaseSlot(previousSlotId);
+      await offerSlotToWaitlist(previousSlotId);
+    }
+    
+    // Keep the payment pointing at the slot it now pays for
+    if (payment.slotId) {
+      payment.slotId = claimedSlot._id;
+      await payment.save();
+    }
+    
+    // Move the reminder to the new time
+    await cancelInterviewReminder(interview._id);
+    await scheduleInterviewReminder(interview._id);
+    
+    try {
+      const candidate = await User.findById(interview.candidate);
+      const previousInterviewer = interviewerChanged
+        ? await User.findById(previousInterviewerId)
+        : newInterviewer;
+      const admin = await User.findOne({ role: 'admin' });
+      const adminEmail = admin ? admin.email : process.env.ADMIN_EMAIL || 'admin@s30mocks.com';
+      
+      await sendInterviewRescheduleNotification(
+        interview,
+        previousDate,
+        candidate,
+        newInterviewer,
+        previousInterviewer,
+        adminEmail
+      );
+    } catch (emailError) {
+      console.error('Error sending reschedule notification emails:', emailError);
+      // Continue with the response even if email fails
+    }
+    
+    res.json({
+      message: 'Interview rescheduled successfully',
+      interview,
+      reschedulesRemaining: MAX_RESCHEDULES - interview.rescheduleCount
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Find open slots from other interviewers that could take over an interview,
+// best rated interviewers first. The interview is already booked, so lead time and
+// the advance horizon do not apply; blackouts, caps and buffers still do.
+const findSubstituteSlots = async (interview) => {
+  const slots = await InterviewSlot.find({
+    interviewType: interview.interviewType,
+    startTime: interview.scheduledDate,
+    isBooked: false,
+    interviewer: { $ne: interview.interviewer },
+    ...notHeldByOthers(interview.candidate)
+  }).populate('interviewer', 'name email role averageRating ratingsCount defaultMeetingLink');
+
+  const interviewerSlots = slots.filter(slot => slot.interviewer && slot.interviewer.role === 'interviewer');
+  const bookableSlots = await filterBookableSlots(interviewerSlots, { skipTimingRules: true });
+
+  return bookableSlots
+    .sort((a, b) => (b.interviewer.averageRating || 0) - (a.interviewer.averageRating || 0));
+};
+
+// Get substitute interviewers for an interview (for the assigned interviewer)
+exports.getSubstituteSlots = async (req, res) => {
+  try {
+    const interview = await Interview.findById(req.params.id);
+    
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    
+    if (interview.interviewer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const slots = await findSubstituteSlots(interview);
+    
+    res.json(slots.map(slot => ({
+      slotId: slot._id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      interviewer: {
+        _id: slot.interviewer._id,
+        name: slot.interviewer.name,
+        averageRating: slot.interviewer.averageRating,
+        ratingsCount: slot.interviewer.ratingsCount
+      }
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Release an interview (for interviewers who can no longer conduct it).
+// Hands it to a substitute interviewer, or cancels it if nobody is available.
+exports.releaseInterview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason, substituteSlotId } = req.body;
+    
+    let interview = await Interview.findById(req.params.id);
+    
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+    
+    if (interview.interviewer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to release this interview' });
+    }
+    
+    if (interview.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled interviews can be released' });
+    }
+    
+    let substitutes = await findSubstituteSlots(interview);
+    if (substituteSlotId) {
+      substitutes = substitutes.filter(slot => slot._id.toString() === substituteSlotId);
+      if (substitutes.length === 0) {
+        return res.status(400).json({ message: 'The selected substitute slot is not available' });
+      }
+    }
+    
+    // Claim the first substitute slot that is still free and still within the substitute's caps
+    let claimedSlot = null;
+    for (const substitute of substitutes) {
+      claimedSlot = await claimSlot(substitute._id, interview.candidate);
+      if (claimedSlot && await checkSlotLimits(claimedSlot, { skipTimingRules: true })) {
+        await releaseSlot(claimedSlot._id);
+        claimedSlot = null;
+      }
+      if (claimedSlot) {
+        break;
+      }
+    }
+    
+    if (substituteSlotId && !claimedSlot) {
+      return res.status(409).json({ message: 'The selected substitute slot is no longer available' });
+    }
+    
+    const before = auditSnapshot('Interview', interview);
+    const previousSlotId = interview.slot;
+    const previousInterviewer = await User.findById(interview.interviewer);
+    const candidate = await User.findById(interview.candidate);
+    const admin = await User.findOne({ role: 'admin' });
+    const adminEmail = admin ? admin.email : process.env.ADMIN_EMAIL || 'admin@s30mocks.com';
+    
+    if (claimedSlot) {
+      const newInterviewer = await User.findById(claimedSlot.interviewer);
+      
+      // Only reassign the interview if it is still scheduled in the slot it was read from,
+      // so a cancel or reschedule running at the same time wins cleanly. The calendar
+      // sequence is bumped here as the save hook does not run for updates.
+      let reassigned;
+      try {
+        reassigned = await Interview.findOneAndUpdate(
+          { _id: interview._id, slot: previousSlotId || null, status: 'scheduled' },
+          {
+            $set: {
+              interviewer: claimedSlot.interviewer,
+              slot: claimedSlot._id,
+              timeZone: claimedSlot.timeZone || interview.timeZone,
+              meetingLink: newInterviewer?.defaultMeetingLink || 'ping support team in whatsapp for link'
+            },
+            $unset: { meetingPassword: 1 },
+            $inc: { calendarSequence: 1 },
+            $push: {
+              rescheduleHistory: {
+                fromSlot: previousSlotId,
+                toSlot: claimedSlot._id,
+                fromDate: interview.scheduledDate,
+                toDate: claimedSlot.startTime,
+                fromInterviewer: previousInterviewer._id,
+                toInterviewer: claimedSlot.interviewer,
+                rescheduledBy: req.user.id,
+                reason
+              }
+            }
+          },
+          { new: true }
+        );
+        if (reassigned) {
+          await attachInterviewToSlot(claimedSlot._id, reassigned._id);
+        }
+      } catch (releaseError) {
+        await releaseSlot(claimedSlot._id);
+        throw releaseError;
+      }
+      
+      if (!reassigned) {
+        await releaseSlot(claimedSlot._id);
+        return res.status(409).json({ message: 'This interview was changed in the meantime. Please reload it and try again.' });
+      }
+      interview = reassigned;
+      
+      await recordAudit(req, 'interview.reassign', 'Interview', { entity: interview, before });
+      
+      // The original interviewer is unavailable, so their slot is removed rather than reopened
+      if (previousSlotId) {
+        await InterviewSlot.findByIdAndDelete(previousSlotId);
+      }
+      
+      if (interview.paymentId) {
+        await Payment.updateOne(
+          { _id: interview.paymentId, slotId: { $exists: true } },
+          { $set: { slotId: claimedSlot._id } }
+        );
+      }
+      
+      try {
+        await sendInterviewerChangeNotification(interview, candidate, previousInterviewer, newInterviewer, adminEmail);
+        await sendInterviewBookingNotification(interview, candidate, newInterviewer, adminEmail);
+      } catch (emailError) {
+        console.error('Error sending interviewer change emails:', emailError);
+        // Continue with the response even if email fails
+      }
+      
+      return res.json({
+        message: `Interview reassigned to ${newInterviewer.name}`,
+        substituted: true,
+        interview
+      });
+    }
+    
+    // No substitute available: cancel the interview and refund any payment
+    const statusError = changeInterviewStatus(interview, 'cancelled', {
+      actor: req.user.id,
+      role: getActorRole(interview, req.user),
+      reason: 'Interviewer released the interview: ' + reason
+    });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+    interview.cancelledBy = req.user.id;
+    interview.cancellationReason = reason;
+    await interview.save();
+    await recordAudit(req, 'interview.release', 'Interview', { entity: interview, before });
+    
+    if (previousSlotId) {
+      await InterviewSlot.findByIdAndDelete(previousSlotId);
+    }
+    
+    await cancelInterviewReminder(interview._id);
+    
+    await issueRefund(interview, { cause: 'interviewer', reason: 'Interviewer cancelled: ' + reason, req });
+    
+    try {
+      await sendInterviewerCancellationNotification(interview, candidate, previousInterviewer, adminEmail);
+    } catch (emailError) {
+      console.error('Error sending interviewer cancellation email:', emailError);
+      // Continue with the response even if email fails
+    }
+    
+    res.json({
+      message: 'No substitute interviewer was available, so the interview has been cancelled',
+      substituted: false,
+      interview
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -264,8 +716,9 @@ S30 Mocks System`
 // Update interview status
 exports.updateInterviewStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
+    // No-show statuses are only set through reports and detection
     if (!['scheduled', 'in-progress', 'completed', 'cancelled'].includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
@@ -287,22 +740,33 @@ exports.updateInterviewStatus = async (req, res) => {
     // Store old status for comparison
     const oldStatus = interview.status;
     
-    // Update interview status
-    interview.status = status;
+    const before = auditSnapshot('Interview', interview);
+    
+    // Update interview status if the transition is allowed for this user
+    const statusError = changeInterviewStatus(interview, status, {
+      actor: req.user.id,
+      role: getActorRole(interview, req.user),
+      reason
+    });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
     await interview.save();
+    await recordAudit(req, 'interview.updateStatus', 'Interview', { entity: interview, before });
     
-    // If status is being changed to cancelled, make the slot available again
+    // If status is being changed to cancelled, refund the candidate and make the slot available again
     if (status === 'cancelled' && oldStatus !== 'cancelled') {
+      await issueRefund(interview, {
+        cause: 'interviewer',
+        reason: reason || (req.user.role === 'admin' ? 'Cancelled by admin' : 'Cancelled by interviewer'),
+        req
+      });
+      
       // If the interview was booked from a slot, make the slot available again
       if (interview.slot) {
-        const InterviewSlot = require('../models/InterviewSlot');
-        const slot = await InterviewSlot.findById(interview.slot);
-        
-        if (slot) {
-          slot.isBooked = false;
-          await slot.save();
-          console.log(`Slot ${slot._id} has been made available again after interview cancellation`);
-        }
+        await releaseSlot(interview.slot);
+        console.log(`Slot ${interview.slot} has been made available again after interview cancellation`);
+        await offerSlotToWaitlist(interview.slot);
       }
       
       // Get candidate and interviewer details for email notification
@@ -328,6 +792,70 @@ exports.updateInterviewStatus = async (req, res) => {
   }
 };
 
+// Report that the other participant did not join the interview
+exports.reportNoShow = async (req, res) => {
+  try {
+    const interview = await Interview.findById(req.params.id);
+
+    if (!interview) {
+      return res.status(404).json({ message: 'Interview not found' });
+    }
+
+    // Only the two participants can report, and each reports the other side
+    let absentParty;
+    if (interview.candidate.toString() === req.user.id) {
+      absentParty = 'interviewer';
+    } else if (interview.interviewer.toString() === req.user.id) {
+      absentParty = 'candidate';
+    } else {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (interview.status !== 'scheduled' && !REVIEW_STATUSES.includes(interview.status)) {
+      return res.status(400).json({ message: `Cannot report a no-show for an interview that is ${interview.status}` });
+    }
+
+    if (interview.reviewResolution.resolvedAt) {
+      return res.status(400).json({ message: 'This interview has already been reviewed' });
+    }
+
+    if (interview.scheduledDate > new Date()) {
+      return res.status(400).json({ message: 'The interview has not started yet' });
+    }
+
+    if (interview.noShowReports.some(report => report.reportedBy.toString() === req.user.id)) {
+      return res.status(400).json({ message: 'You have already reported this interview' });
+    }
+
+    const before = auditSnapshot('Interview', interview);
+    interview.noShowReports.push({
+      reportedBy: req.user.id,
+      absentParty,
+      note: req.body.note
+    });
+
+    // Once detection has flagged the interview, a new report can change the verdict
+    if (REVIEW_STATUSES.includes(interview.status)) {
+      const statusError = changeInterviewStatus(interview, getNoShowStatus(interview), {
+        actor: req.user.id,
+        role: absentParty === 'candidate' ? 'interviewer' : 'candidate',
+        reason: `No-show reported for the ${absentParty}`
+      });
+      if (statusError) {
+        return res.status(400).json({ message: statusError });
+      }
+    }
+
+    await interview.save();
+    await recordAudit(req, 'interview.reportNoShow', 'Interview', { entity: interview, before });
+
+    res.json(interview);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
 // Update meeting details (link and password)
 exports.updateMeetingDetails = async (req, res) => {
   try {
@@ -344,6 +872,8 @@ exports.updateMeetingDetails = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
     
+    const before = auditSnapshot('Interview', interview);
+    
     // Check if meeting link is actually changing
     const isLinkUpdated = meetingLink && interview.meetingLink !== meetingLink;
     
@@ -351,6 +881,7 @@ exports.updateMeetingDetails = async (req, res) => {
     if (meetingPassword) interview.meetingPassword = meetingPassword;
     
     await interview.save();
+    await recordAudit(req, 'interview.updateMeeting', 'Interview', { entity: interview, before });
     
     // If the meeting link was updated, send notification to candidate
     if (isLinkUpdated) {
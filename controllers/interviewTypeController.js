@@ -0,0 +1,155 @@
+const InterviewType = require('../models/InterviewType');
+const InterviewPrice = require('../models/InterviewPrice');
+const { validationResult } = require('express-validator');
+const { getInterviewTypes, clearInterviewTypeCache } = require('../utils/interviewTypes');
+const { validateBookingRuleValues, pickBookingRuleValues } = require('../utils/bookingRules');
+
+const isValidPrepTips = (prepTips) =>
+  Array.isArray(prepTips) && prepTips.every(tip => typeof tip === 'string' && tip.trim());
+
+// Get interview types; admins can include deactivated ones with ?includeInactive=true
+exports.getAllInterviewTypes = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const types = await getInterviewTypes(includeInactive);
+    res.json(types);
+  } catch (err) {
+    console.error('Error fetching interview types:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Create a new interview type along with its price (admin only)
+exports.createInterviewType = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, duration, defaultPrice, currency, autoAssignProblem, prepTips } = req.body;
+
+    const bookingRuleError = validateBookingRuleValues(req.body);
+    if (bookingRuleError) {
+      return res.status(400).json({ message: bookingRuleError });
+    }
+
+    if (prepTips !== undefined && !isValidPrepTips(prepTips)) {
+      return res.status(400).json({ message: 'Prep tips must be an array of non-empty strings' });
+    }
+
+    const existing = await InterviewType.findOne({ name: name.trim() });
+    if (existing) {
+      return res.status(400).json({ message: `Interview type ${name} already exists` });
+    }
+
+    const type = new InterviewType({
+      name: name.trim(),
+      duration,
+      defaultPrice,
+      currency: currency || 'INR',
+      autoAssignProblem: !!autoAssignProblem,
+      prepTips: prepTips || [],
+      ...pickBookingRuleValues(req.body),
+      updatedBy: req.user.id
+    });
+
+    await type.save();
+
+    // Bookings need a price record, so start from the type's default price
+    const priceRecord = await InterviewPrice.findOne({ interviewType: type.name });
+    if (!priceRecord) {
+      await new InterviewPrice({
+        interviewType: type.name,
+        price: type.defaultPrice,
+        currency: type.currency,
+        updatedBy: req.user.id
+      }).save();
+    }
+
+    clearInterviewTypeCache();
+
+    res.status(201).json({
+      message: `Interview type ${type.name} created successfully`,
+      interviewType: type
+    });
+  } catch (err) {
+    console.error('Error creating interview type:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Update an interview type (admin only).
+// The name cannot change because slots, interviews and prices refer to it.
+exports.updateInterviewType = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const type = await InterviewType.findById(req.params.id);
+    if (!type) {
+      return res.status(404).json({ message: 'Interview type not found' });
+    }
+
+    if (req.body.name && req.body.name !== type.name) {
+      return res.status(400).json({ message: 'Interview type name cannot be changed' });
+    }
+
+    const bookingRuleError = validateBookingRuleValues(req.body);
+    if (bookingRuleError) {
+      return res.status(400).json({ message: bookingRuleError });
+    }
+
+    const { duration, defaultPrice, currency, autoAssignProblem, isActive, prepTips } = req.body;
+
+    if (prepTips !== undefined && !isValidPrepTips(prepTips)) {
+      return res.status(400).json({ message: 'Prep tips must be an array of non-empty strings' });
+    }
+
+    if (duration !== undefined) type.duration = duration;
+    if (defaultPrice !== undefined) type.defaultPrice = defaultPrice;
+    if (currency) type.currency = currency;
+    if (typeof autoAssignProblem === 'boolean') type.autoAssignProblem = autoAssignProblem;
+    if (typeof isActive === 'boolean') type.isActive = isActive;
+    if (prepTips !== undefined) type.prepTips = prepTips;
+    Object.assign(type, pickBookingRuleValues(req.body));
+    type.updatedBy = req.user.id;
+
+    await type.save();
+    clearInterviewTypeCache();
+
+    res.json({
+      message: `Interview type ${type.name} updated successfully`,
+      interviewType: type
+    });
+  } catch (err) {
+    console.error('Error updating interview type:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Deactivate an interview type (admin only).
+// Existing slots and interviews keep working; no new slots can be created for it.
+exports.deactivateInterviewType = async (req, res) => {
+  try {
+    const type = await InterviewType.findById(req.params.id);
+    if (!type) {
+      return res.status(404).json({ message: 'Interview type not found' });
+    }
+
+    type.isActive = false;
+    type.updatedBy = req.user.id;
+    await type.save();
+    clearInterviewTypeCache();
+
+    res.json({
+      message: `Interview type ${type.name} deactivated successfully`,
+      interviewType: type
+    });
+  } catch (err) {
+    console.error('Error deactivating interview type:', err);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,266 @@
+const Package = require('../models/Package');
+const PackagePurchase = require('../models/PackagePurchase');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { uploadToS3 } = require('../utils/s3');
+const { getActiveInterviewType, getInvalidTypeMessage } = require('../utils/interviewTypes');
+const { getPackagePricing, getPackageSummary } = require('../utils/packages');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+
+// Every item must be an active interview type with a positive count
+const getItemsError = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'A package needs at least one interview type';
+  }
+  for (const item of items) {
+    if (!item || !Number.isInteger(item.count) || item.count < 1) {
+      return 'Each interview type needs a count of at least 1';
+    }
+    if (!(await getActiveInterviewType(item.interviewType))) {
+      return await getInvalidTypeMessage();
+    }
+  }
+  if (new Set(items.map(item => item.interviewType)).size !== items.length) {
+    return 'Each interview type can only be listed once';
+  }
+  return null;
+};
+
+// Get packages with their current price (?includeInactive=true for all)
+exports.getPackages = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const packages = await Package.find(includeInactive ? {} : { isActive: true }).sort({ createdAt: -1 });
+
+    const pricedPackages = [];
+    for (const pkg of packages) {
+      const { price, credits } = await getPackagePricing(pkg);
+      pricedPackages.push({ ...pkg.toObject(), price, credits });
+    }
+
+    res.json(pricedPackages);
+  } catch (err) {
+    console.error('Error fetching packages:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Create a package (admin only)
+exports.createPackage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, items, discountPercent, validityDays } = req.body;
+
+    const itemsError = await getItemsError(items);
+    if (itemsError) {
+      return res.status(400).json({ message: itemsError });
+    }
+
+    const pkg = new Package({
+      name: name.trim(),
+      description,
+      items: items.map(({ interviewType, count }) => ({ interviewType, count })),
+      discountPercent,
+      validityDays,
+      createdBy: req.user.id
+    });
+    await pkg.save();
+
+    res.status(201).json({
+      message: `Package ${pkg.name} created successfully`,
+      package: pkg
+    });
+  } catch (err) {
+    console.error('Error creating package:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Update a package (admin only). Existing purchases keep what they were sold.
+exports.updatePackage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const pkg = await Package.findById(req.params.id);
+    if (!pkg) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    const { name, description, items, discountPercent, validityDays, isActive } = req.body;
+
+    if (items !== undefined) {
+      const itemsError = await getItemsError(items);
+      if (itemsError) {
+        return res.status(400).json({ message: itemsError });
+      }
+      pkg.items = items.map(({ interviewType, count }) => ({ interviewType, count }));
+    }
+
+    if (name) pkg.name = name.trim();
+    if (description !== undefined) pkg.description = description;
+    if (discountPercent !== undefined) pkg.discountPercent = discountPercent;
+    if (validityDays !== undefined) pkg.validityDays = validityDays;
+    if (typeof isActive === 'boolean') pkg.isActive = isActive;
+
+    await pkg.save();
+
+    res.json({
+      message: `Package ${pkg.name} updated successfully`,
+      package: pkg
+    });
+  } catch (err) {
+    console.error('Error updating package:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Deactivate a package (admin only). Credits already bought stay usable.
+exports.deactivatePackage = async (req, res) => {
+  try {
+    const pkg = await Package.findById(req.params.id);
+    if (!pkg) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    pkg.isActive = false;
+    await pkg.save();
+
+    res.json({
+      message: `Package ${pkg.name} deactivated successfully`,
+      package: pkg
+    });
+  } catch (err) {
+    console.error('Error deactivating package:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Start buying a package: price it and create the purchase with its UPI payment
+exports.purchasePackage = async (req, res) => {
+  try {
+    const pkg = await Package.findById(req.params.id);
+    if (!pkg || !pkg.isActive) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    const { price, credits, error } = await getPackagePricing(pkg);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Packages are paid to the platform's UPI account
+    const adminWithUpi = await User.findOne({
+      role: 'admin',
+      upiId: { $exists: true, $ne: '' },
+      qrCodeUrl: { $exists: true, $ne: '' }
+    }).select('upiId qrCodeUrl');
+    if (!adminWithUpi) {
+      return res.status(400).json({ message: 'UPI payment details have not been set up yet' });
+    }
+
+    const purchase = new PackagePurchase({
+      candidate: req.user.id,
+      package: pkg._id,
+      name: pkg.name,
+      credits,
+      price
+    });
+
+    const payment = new Payment({
+      paidBy: req.user.id,
+      packagePurchase: purchase._id,
+      amount: price,
+      upiId: adminWithUpi.upiId,
+      qrCodeUrl: adminWithUpi.qrCodeUrl,
+      status: 'pending'
+    });
+    purchase.payment = payment._id;
+
+    await payment.save();
+    await purchase.save();
+    await recordAudit(req, 'payment.create', 'Payment', { entity: payment });
+
+    res.status(201).json({
+      purchaseId: purchase._id,
+      paymentId: payment._id,
+      upiId: payment.upiId,
+      qrCodeUrl: payment.qrCodeUrl,
+      amount: price,
+      currency: purchase.currency,
+      credits
+    });
+  } catch (err) {
+    console.error('Package purchase error:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Submit the UPI payment proof for a package purchase; an admin then verifies it
+exports.submitPackagePayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const purchase = await PackagePurchase.findById(req.params.purchaseId);
+    if (!purchase) {
+      return res.status(404).json({ message: 'Package purchase not found' });
+    }
+    if (purchase.candidate.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    if (purchase.status !== 'pending') {
+      return res.status(400).json({ message: `This package purchase is already ${purchase.status}` });
+    }
+
+    const payment = await Payment.findById(purchase.payment);
+    if (!payment || payment.status !== 'pending') {
+      return res.status(400).json({ message: 'Payment proof has already been submitted' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Payment screenshot is required' });
+    }
+
+    const screenshotUrl = await uploadToS3(req.file, 'payment-screenshots');
+
+    // Store only the last 4 digits of the transaction ID for UPI payments
+    const { transactionId } = req.body;
+    const before = auditSnapshot('Payment', payment);
+    payment.transactionId = transactionId.length > 4 ? transactionId.slice(-4) : transactionId;
+    payment.transactionScreenshotUrl = screenshotUrl;
+    payment.status = 'submitted';
+    payment.submittedAt = new Date();
+    await payment.save();
+    await recordAudit(req, 'payment.submit', 'Payment', { entity: payment, before });
+
+    res.json({
+      message: 'Payment proof submitted. Your package will be activated once the payment is verified.',
+      paymentId: payment._id,
+      status: payment.status
+    });
+  } catch (err) {
+    console.error('Package payment submission error:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Get the candidate's packages with remaining credits, expiry dates and usage history
+exports.getMyPackages = async (req, res) => {
+  try {
+    const summary = await getPackageSummary(req.user.id);
+    res.json(summary);
+  } catch (err) {
+    console.error('Error fetching candidate packages:', err);
+    res.status(500).send('Server error');
+  }
+};
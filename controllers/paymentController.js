@@ -1,11 +1,29 @@
 const Payment = require('../models/Payment');
 const Interview = require('../models/Interview');
 const User = require('../models/User');
-const InterviewPrice = require('../models/InterviewPrice');
 const InterviewSlot = require('../models/InterviewSlot');
+const PackagePurchase = require('../models/PackagePurchase');
 const path = require('path');
 const multer = require('multer');
 const { uploadToS3 } = require('../utils/s3');
+const {
+  placeHold,
+  attachPaymentToHold,
+  releaseHold,
+  claimSlot,
+  attachInterviewToSlot,
+  releaseSlot
+} = require('../utils/slotBooking');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { getInterviewType } = require('../utils/interviewTypes');
+const { offerSlotToWaitlist, fulfillWaitlistOffer } = require('../utils/waitlist');
+const { getActorRole, changeInterviewStatus } = require('../utils/interviewStatus');
+const { checkSlotLimits } = require('../utils/interviewerLimits');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+const { getCreditBalance, addCredit, useCredit } = require('../utils/credits');
+const { applyCoupon, redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const { activatePackagePurchase } = require('../utils/packages');
+const { getSlotPrice } = require('../utils/pricing');
 const { 
   sendPaymentVerificationNotification,
   sendPaymentVerificationConfirmation 
@@ -117,40 +135,52 @@ exports.createPaymentRequest = async (req, res) => {
       return res.status(400).json({ message: 'Interviewer has not set up UPI payment details yet' });
     }
     
-    // Get the interview price
-    const priceRecord = await InterviewPrice.findOne({ interviewType: interview.interviewType });
-    if (!priceRecord) {
+    // Price the interview like its slot, as of when it was booked. Interviews without
+    // a slot are priced from their own type, time and interviewer.
+    const slot = interview.slot && await InterviewSlot.findById(interview.slot);
+    const pricing = await getSlotPrice(slot || {
+      interviewType: interview.interviewType,
+      interviewer: interview.interviewer,
+      startTime: interview.scheduledDate,
+      timeZone: interview.timeZone
+    }, interview.createdAt);
+    if (!pricing) {
       return res.status(404).json({ message: `Price for ${interview.interviewType} interviews not found` });
     }
     
-    // Use base price directly (no GST)
-    const basePrice = priceRecord.price;
-    
-    // Use the base price directly
-    const amount = basePrice;
+    // Use the resolved price directly (no GST)
+    const amount = pricing.price;
     
     // Create payment record
     const payment = new Payment({
       interview: interviewId,
       paidBy: req.user.id, // Add the paidBy field with the current user's ID
       amount,
+      priceBreakdown: {
+        basePrice: pricing.basePrice,
+        adjustments: pricing.adjustments,
+        price: pricing.price
+      },
       upiId: interviewer.upiId,
       qrCodeUrl: interviewer.qrCodeUrl,
       status: 'pending' // Initial status until proof is submitted
     });
     
     await payment.save();
+    await recordAudit(req, 'payment.create', 'Payment', { entity: payment });
     
     // Update interview with payment ID
+    const interviewBefore = auditSnapshot('Interview', interview);
     interview.paymentId = payment._id;
     await interview.save();
+    await recordAudit(req, 'interview.attachPayment', 'Interview', { entity: interview, before: interviewBefore });
     
     res.json({
       paymentId: payment._id,
       upiId: interviewer.upiId,
       qrCodeUrl: interviewer.qrCodeUrl,
       amount: amount, // Use amount directly
-      currency: priceRecord.currency || 'INR'
+      currency: pricing.currency || 'INR'
     });
   } catch (err) {
     console.error('Payment request error:', err);
@@ -158,10 +188,152 @@ exports.createPaymentRequest = async (req, res) => {
   }
 };
 
+// Book the slot a pre-booking payment was made for: redeem its coupon, spend any credit
+// applied to it, claim the slot, create the interview and mark the payment as paid.
+// settlePayment fills in how the rest was paid and runs inside the rollback, so a
+// failure frees the slot and gives back the coupon use and the credit.
+// paymentBefore is the audit snapshot from before the caller claimed the payment, if it did.
+// Returns { interview }, or { status, message } when the booking cannot go ahead.
+const completePreBooking = async (req, payment, slot, settlePayment, paymentBefore = auditSnapshot('Payment', payment)) => {
+  // Set duration based on interview type
+  const type = await getInterviewType(slot.interviewType);
+  const duration = type
+    ? type.duration
+    : Math.round((slot.endTime - slot.startTime) / (1000 * 60));
+  
+  // Find interviewer
+  const interviewer = await User.findById(slot.interviewer);
+  
+  const couponError = payment.coupon && await redeemCoupon(payment.coupon, { userId: req.user.id, paymentId: payment._id });
+  if (couponError) {
+    return { status: 409, message: `${couponError}. Please start the payment again.` };
+  }
+  
+  const creditApplied = payment.creditApplied || 0;
+  const creditEntry = { payment: payment._id, reason: `${slot.interviewType} interview booking` };
+  if (creditApplied > 0) {
+    const debit = await useCredit(req.user.id, creditApplied, { ...creditEntry, source: 'booking' });
+    if (!debit) {
+      if (payment.coupon) {
+        await releaseCoupon(payment.coupon, payment._id);
+      }
+      return { status: 400, message: 'Your credit balance no longer covers this booking. Please start the payment again.' };
+    }
+  }
+  const undoRedemptions = async () => {
+    if (payment.coupon) {
+      await releaseCoupon(payment.coupon, payment._id);
+    }
+    if (creditApplied > 0) {
+      await addCredit(req.user.id, creditApplied, { ...creditEntry, source: 'booking-reversal' });
+    }
+  };
+  
+  // Atomically claim the slot so concurrent submissions cannot both book it
+  const claimedSlot = await claimSlot(slot._id, req.user.id);
+  if (!claimedSlot) {
+    await undoRedemptions();
+    return { status: 409, message: 'This slot has already been booked' };
+  }
+  
+  // Check the caps again now that the slot is claimed: other bookings may have filled them
+  // while the candidate was paying. Timing rules are measured from when they started.
+  const limitViolation = await checkSlotLimits(claimedSlot, { requestedAt: payment.createdAt });
+  if (limitViolation) {
+    await releaseSlot(slot._id);
+    await undoRedemptions();
+    return { status: 409, message: limitViolation };
+  }
+  
+  // Create interview
+  const interview = new Interview({
+    candidate: req.user.id,
+    interviewer: slot.interviewer,
+    interviewType: slot.interviewType,
+    scheduledDate: slot.startTime,
+    duration: duration,
+    price: payment.amount + creditApplied,
+    currency: payment.currency,
+    status: 'scheduled',
+    slot: slot._id,
+    timeZone: slot.timeZone || DEFAULT_TIMEZONE,
+    meetingLink: interviewer?.defaultMeetingLink || "ping support team in whatsapp for link",
+    paymentId: payment._id // Reference to the payment
+  });
+  
+  try {
+    await settlePayment();
+    
+    await interview.save();
+    
+    payment.interview = interview._id;
+    payment.isPreBooking = false; // No longer a pre-booking payment
+    await payment.save();
+    
+    await attachInterviewToSlot(slot._id, interview._id);
+  } catch (bookingError) {
+    // Roll back everything written for this booking and free the slot again
+    await Interview.deleteOne({ _id: interview._id });
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $set: { status: 'pending', isPreBooking: true, paymentMethod: 'upi' },
+        $unset: { interview: 1, transactionId: 1, transactionScreenshotUrl: 1, submittedAt: 1, verifiedAt: 1 }
+      }
+    );
+    await releaseSlot(slot._id);
+    await undoRedemptions();
+    throw bookingError;
+  }
+  
+  await recordAudit(req, 'interview.create', 'Interview', { entity: interview });
+  await recordAudit(req, 'payment.submit', 'Payment', { entity: payment, before: paymentBefore });
+  
+  await fulfillWaitlistOffer(req.user.id, slot._id);
+  
+  // Schedule email reminders for 30 minutes before the interview
+  const scheduleInterviewReminder = require('../utils/scheduler').scheduleInterviewReminder;
+  await scheduleInterviewReminder(interview._id);
+  
+  // Send email notifications
+  const { 
+    sendInterviewBookingConfirmation, 
+    sendInterviewBookingNotification,
+    sendCombinedBookingAndPaymentNotification 
+  } = require('../utils/email');
+  
+  const candidate = await User.findById(req.user.id);
+  const adminEmail = process.env.ADMIN_EMAIL || "jaspinder@thes30.com";
+  
+  try {
+    if (payment.status === 'verified') {
+      // Paid entirely with credit, so there is no payment for the interviewer to verify
+      await sendInterviewBookingNotification(interview, candidate, interviewer, adminEmail);
+    } else {
+      // Send combined notification to interviewer (booking + payment verification)
+      await sendCombinedBookingAndPaymentNotification(
+        interview, 
+        payment, 
+        candidate, 
+        interviewer, 
+        adminEmail
+      );
+    }
+    
+    // Send confirmation to candidate
+    await sendInterviewBookingConfirmation(interview, candidate, interviewer, adminEmail);
+  } catch (emailErr) {
+    console.error('Error sending email notifications:', emailErr);
+    // Continue even if email sending fails
+  }
+  
+  return { interview };
+};
+
 // Create a pre-booking payment request (before slot is booked)
 exports.createPreBookingPayment = async (req, res) => {
   try {
-    const { slotId, interviewType } = req.body;
+    const { slotId, interviewType, couponCode, useCredit: applyCredit } = req.body;
     
     // Verify slot exists and is not booked
     const slot = await InterviewSlot.findById(slotId).populate('interviewer');
@@ -170,43 +342,137 @@ exports.createPreBookingPayment = async (req, res) => {
     }
     
     if (slot.isBooked) {
-      return res.status(400).json({ message: 'This slot is already booked' });
+      return res.status(409).json({ message: 'This slot is already booked' });
+    }
+    
+    // Get the price for this slot: the base price for its type plus any pricing rules
+    const pricing = await getSlotPrice(slot);
+    if (!pricing) {
+      return res.status(404).json({ message: `Price for ${slot.interviewType} interviews not found` });
     }
     
-    // Get the interviewer's UPI details
+    // Start from the slot price, take off the coupon discount and then any wallet credit
+    // the candidate chose to apply. Both are only used up once the booking goes through.
+    const price = pricing.price;
+    const priceBreakdown = {
+      basePrice: pricing.basePrice,
+      adjustments: pricing.adjustments,
+      price
+    };
+    
+    let coupon = null;
+    let discountAmount = 0;
+    if (couponCode) {
+      const couponResult = await applyCoupon(couponCode, {
+        userId: req.user.id,
+        interviewType: slot.interviewType,
+        price
+      });
+      if (couponResult.error) {
+        return res.status(400).json({ message: couponResult.error });
+      }
+      coupon = couponResult.coupon;
+      discountAmount = couponResult.discount;
+    }
+    
+    const discountedPrice = price - discountAmount;
+    const creditApplied = applyCredit
+      ? Math.min(await getCreditBalance(req.user.id), discountedPrice)
+      : 0;
+    const amount = discountedPrice - creditApplied;
+    
+    // Get the interviewer's UPI details (not needed when credit covers the whole price)
     const interviewer = slot.interviewer;
-    if (!interviewer || !interviewer.upiId || !interviewer.qrCodeUrl) {
+    if (amount > 0 && (!interviewer || !interviewer.upiId || !interviewer.qrCodeUrl)) {
       return res.status(400).json({ message: 'Interviewer has not set up UPI payment details yet' });
     }
     
-    // Get the price for this interview type
-    const priceRecord = await InterviewPrice.findOne({ interviewType: slot.interviewType });
-    if (!priceRecord) {
-      return res.status(404).json({ message: `Price for ${slot.interviewType} interviews not found` });
+    // Respect the interviewer's blackouts and booking caps before the candidate pays.
+    // The hold keeps other candidates off this slot, but not the interviewer's other
+    // slots, so the caps are checked again when the slot is claimed.
+    const limitViolation = await checkSlotLimits(slot);
+    if (limitViolation) {
+      return res.status(409).json({ message: limitViolation });
     }
     
-    // Use base price directly
-    const amount = priceRecord.price;
+    // Hold the slot for this candidate while they complete the UPI payment
+    const heldSlot = await placeHold(slotId, req.user.id);
+    if (!heldSlot) {
+      return res.status(409).json({ message: 'This slot is currently held by another candidate. Please try again later.' });
+    }
+    
+    // Holds count towards the caps, so a hold placed on another of the interviewer's
+    // slots at the same time may have used up the last place
+    const holdViolation = await checkSlotLimits(heldSlot);
+    if (holdViolation) {
+      await releaseHold(slotId, req.user.id);
+      return res.status(409).json({ message: holdViolation });
+    }
     
     // Create a temporary payment record (not linked to an interview yet)
     const payment = new Payment({
       paidBy: req.user.id,
       amount,
-      upiId: interviewer.upiId,
-      qrCodeUrl: interviewer.qrCodeUrl,
+      coupon: coupon ? coupon._id : undefined,
+      couponCode: coupon ? coupon.code : undefined,
+      priceBreakdown,
+      discountAmount,
+      creditApplied,
+      currency: pricing.currency || 'INR',
+      upiId: interviewer?.upiId,
+      qrCodeUrl: interviewer?.qrCodeUrl,
       status: 'pending',
       isPreBooking: true, // Mark as pre-booking payment
-      slotId: slotId // Store the slot ID for reference
+      slotId: slotId, // Store the slot ID for reference
+      holdExpiresAt: heldSlot.holdExpiresAt
     });
     
     await payment.save();
+    await attachPaymentToHold(slotId, payment._id);
+    await recordAudit(req, 'payment.create', 'Payment', { entity: payment });
+    
+    // Any earlier unpaid pre-booking payment for this slot is superseded by this one
+    await Payment.updateMany(
+      { _id: { $ne: payment._id }, paidBy: req.user.id, slotId, isPreBooking: true, status: 'pending' },
+      { $set: { status: 'abandoned' } }
+    );
+    
+    // Fully covered by the coupon and credit: book straight away, there is no screenshot to upload
+    if (amount === 0) {
+      const booking = await completePreBooking(req, payment, heldSlot, async () => {
+        payment.status = 'verified';
+        payment.paymentMethod = creditApplied > 0 ? 'credit' : 'other';
+        payment.submittedAt = new Date();
+        payment.verifiedAt = new Date();
+      });
+      if (!booking.interview) {
+        await releaseHold(slotId, req.user.id);
+        return res.status(booking.status).json({ message: booking.message });
+      }
+      
+      return res.json({
+        message: creditApplied > 0 ? 'Slot booked using your credit balance' : 'Slot booked with your coupon',
+        paymentId: payment._id,
+        amount: 0,
+        priceBreakdown,
+        discountAmount,
+        creditApplied,
+        currency: pricing.currency || 'INR',
+        paidWithCredit: creditApplied > 0,
+        interviewId: booking.interview._id
+      });
+    }
     
     res.json({
       paymentId: payment._id,
       upiId: interviewer.upiId,
       qrCodeUrl: interviewer.qrCodeUrl,
       amount: amount,
-      currency: priceRecord.currency || 'INR'
+      priceBreakdown,
+      discountAmount,
+      creditApplied,
+      currency: pricing.currency || 'INR',
+      holdExpiresAt: heldSlot.holdExpiresAt
     });
   } catch (err) {
     console.error('Pre-booking payment request error:', err);
@@ -230,6 +496,14 @@ exports.submitPreBookingPayment = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
     
+    // A pre-booking payment books once, and only the slot it was priced for
+    if (!payment.isPreBooking || payment.status !== 'pending') {
+      return res.status(409).json({ message: 'This payment has already been used or is no longer valid' });
+    }
+    if (!payment.slotId || payment.slotId.toString() !== slotId) {
+      return res.status(400).json({ message: 'This payment was made for a different slot' });
+    }
+    
     // Find the slot
     const slot = await InterviewSlot.findById(slotId);
     if (!slot) {
@@ -237,96 +511,91 @@ exports.submitPreBookingPayment = async (req, res) => {
     }
     
     if (slot.isBooked) {
-      return res.status(400).json({ message: 'This slot has already been booked' });
+      return res.status(409).json({ message: 'This slot has already been booked' });
     }
     
-    // Upload screenshot to S3
-    let screenshotUrl = null;
-    if (req.file) {
-      screenshotUrl = await uploadToS3(req.file, 'payment-screenshots');
-    } else {
+    if (!req.file) {
       return res.status(400).json({ message: 'Payment screenshot is required' });
     }
     
-    // Update payment with transaction details
-    // Store only the last 4 digits of the transaction ID for UPI payments
-    const last4Digits = transactionId.length > 4 ? transactionId.slice(-4) : transactionId;
-    payment.transactionId = last4Digits;
-    payment.transactionScreenshotUrl = screenshotUrl;
-    payment.status = 'submitted';
-    payment.submittedAt = new Date();
-    await payment.save();
+    // Booking rules are measured from when the candidate started paying,
+    // so the time spent on the UPI payment does not count against the lead time
+    const limitViolation = await checkSlotLimits(slot, { requestedAt: payment.createdAt });
+    if (limitViolation) {
+      return res.status(409).json({ message: limitViolation });
+    }
     
-    // Set duration based on interview type
-    const duration = slot.interviewType === "DSA" ? 40 : 50;
-    
-    // Find interviewer
-    const interviewer = await User.findById(slot.interviewer);
-    
-    // Create interview
-    const interview = new Interview({
-      candidate: req.user.id,
-      interviewer: slot.interviewer,
-      interviewType: slot.interviewType,
-      scheduledDate: slot.startTime,
-      duration: duration,
-      price: payment.amount,
-      currency: 'INR',
-      status: 'scheduled',
-      slot: slot._id,
-      timeZone: slot.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
-      meetingLink: interviewer?.defaultMeetingLink || "ping support team in whatsapp for link",
-      paymentId: payment._id // Reference to the payment
-    });
+    // Atomically claim the payment so two uploads of the same proof cannot both book
+    const paymentBefore = auditSnapshot('Payment', payment);
+    const claimedPayment = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending', isPreBooking: true },
+      { $set: { status: 'submitted', submittedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimedPayment) {
+      return res.status(409).json({ message: 'This payment has already been used or is no longer valid' });
+    }
     
-    await interview.save();
+    const booking = await completePreBooking(req, claimedPayment, slot, async () => {
+      // Upload screenshot to S3
+      const screenshotUrl = await uploadToS3(req.file, 'payment-screenshots');
+      
+      // Update payment with transaction details
+      // Store only the last 4 digits of the transaction ID for UPI payments
+      const last4Digits = transactionId.length > 4 ? transactionId.slice(-4) : transactionId;
+      claimedPayment.transactionId = last4Digits;
+      claimedPayment.transactionScreenshotUrl = screenshotUrl;
+    }, paymentBefore);
+    if (!booking.interview) {
+      // Hand the payment back so the candidate can retry with it
+      await Payment.updateOne(
+        { _id: claimedPayment._id, status: 'submitted', isPreBooking: true },
+        { $set: { status: 'pending' }, $unset: { submittedAt: 1 } }
+      );
+      return res.status(booking.status).json({ message: booking.message });
+    }
     
-    // Update payment with interview ID
-    payment.interview = interview._id;
-    payment.isPreBooking = false; // No longer a pre-booking payment
-    await payment.save();
+    res.json({
+      message: 'Payment proof submitted and slot booked successfully',
+      interviewId: booking.interview._id
+    });
+  } catch (err) {
+    console.error('Pre-booking payment submission error:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Abandon a pre-booking payment and release the slot hold
+exports.abandonPreBookingPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.body;
     
-    // Update slot
-    slot.isBooked = true;
-    slot.interview = interview._id;
-    await slot.save();
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
     
-    // Schedule email reminders for 30 minutes before the interview
-    const scheduleInterviewReminder = require('../utils/scheduler').scheduleInterviewReminder;
-    await scheduleInterviewReminder(interview._id);
+    // Verify the current user is the payer
+    if (payment.paidBy.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
     
-    // Send email notifications
-    const { 
-      sendInterviewBookingConfirmation, 
-      sendCombinedBookingAndPaymentNotification 
-    } = require('../utils/email');
+    if (!payment.isPreBooking || payment.status !== 'pending') {
+      return res.status(400).json({ message: 'Only unpaid pre-booking payments can be abandoned' });
+    }
     
-    const candidate = await User.findById(req.user.id);
-    const adminEmail = process.env.ADMIN_EMAIL || "jaspinder@thes30.com";
+    const before = auditSnapshot('Payment', payment);
+    payment.status = 'abandoned';
+    await payment.save();
+    await recordAudit(req, 'payment.abandon', 'Payment', { entity: payment, before });
     
-    try {
-      // Send combined notification to interviewer (booking + payment verification)
-      await sendCombinedBookingAndPaymentNotification(
-        interview, 
-        payment, 
-        candidate, 
-        interviewer, 
-        adminEmail
-      );
-      
-      // Send confirmation to candidate
-      await sendInterviewBookingConfirmation(interview, candidate, interviewer, adminEmail);
-    } catch (emailErr) {
-      console.error('Error sending email notifications:', emailErr);
-      // Continue even if email sending fails
+    if (payment.slotId) {
+      await releaseHold(payment.slotId, req.user.id);
     }
     
-    res.json({
-      message: 'Payment proof submitted and slot booked successfully',
-      interviewId: interview._id
-    });
+    res.json({ message: 'Pre-booking payment abandoned and slot released' });
   } catch (err) {
-    console.error('Pre-booking payment submission error:', err);
+    console.error('Error abandoning pre-booking payment:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
@@ -395,10 +664,12 @@ exports.submitPaymentProof = async (req, res) => {
     // Update payment with transaction details
     // Store only the last 4 digits of the transaction ID for UPI payments
     const last4Digits = transactionId.length > 4 ? transactionId.slice(-4) : transactionId;
+    const before = auditSnapshot('Payment', payment);
     payment.transactionId = last4Digits;
     payment.transactionScreenshotUrl = screenshotUrl;
     payment.status = 'pending'; // Change status to pending after proof is submitted
     await payment.save();
+    await recordAudit(req, 'payment.submitProof', 'Payment', { entity: payment, before });
     
     // Get candidate, interviewer, and admin details for email notification
     const candidate = await User.findById(req.user.id);
@@ -469,17 +740,61 @@ exports.getPaymentByInterviewId = async (req, res) => {
   }
 };
 
+// Verify or reject the payment for a package purchase; verifying it makes the credits usable
+const verifyPackagePayment = async (req, res, payment, verified) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Not authorized to verify payments' });
+  }
+  
+  const purchase = await PackagePurchase.findById(payment.packagePurchase).populate('package');
+  if (!purchase) {
+    return res.status(404).json({ message: 'Package purchase not found' });
+  }
+  if (purchase.status !== 'pending') {
+    return res.status(400).json({ message: `This package purchase is already ${purchase.status}` });
+  }
+  
+  const before = auditSnapshot('Payment', payment);
+  payment.status = verified ? 'verified' : 'rejected';
+  payment.verifiedBy = req.user.id;
+  payment.verifiedAt = Date.now();
+  await payment.save();
+  await recordAudit(req, verified ? 'payment.verify' : 'payment.reject', 'Payment', { entity: payment, before });
+  
+  let updatedPurchase;
+  if (verified) {
+    updatedPurchase = await activatePackagePurchase(purchase._id, purchase.package.validityDays);
+  } else {
+    updatedPurchase = await PackagePurchase.findOneAndUpdate(
+      { _id: purchase._id, status: 'pending' },
+      { $set: { status: 'rejected' } },
+      { new: true }
+    );
+  }
+  
+  res.json({
+    message: verified ? 'Payment verified and package activated' : 'Payment rejected',
+    payment,
+    packagePurchase: updatedPurchase
+  });
+};
+
 // Verify payment (for interviewers and admins)
 exports.verifyPayment = async (req, res) => {
   try {
     const { paymentId, verified } = req.body;
     
     // Verify payment exists
-    const payment = await Payment.findById(paymentId);
+    let payment = await Payment.findById(paymentId);
     if (!payment) {
       return res.status(404).json({ message: 'Payment not found' });
     }
     
+    // Package payments are not tied to an interview and are verified by admins
+    if (payment.packagePurchase) {
+      return await verifyPackagePayment(req, res, payment, verified);
+    }
+    
     // Get the interview
     const interview = await Interview.findById(payment.interview);
     if (!interview) {
@@ -494,20 +809,66 @@ exports.verifyPayment = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to verify payments' });
     }
     
-    // Update payment status based on verification
-    if (verified) {
-      payment.status = 'verified';
-      payment.verifiedBy = req.user.id;
-      payment.verifiedAt = Date.now();
-      
-      // No need to update interview payment status as we're now using the payment reference
-    } else {
-      payment.status = 'rejected';
-      payment.verifiedBy = req.user.id;
-      payment.verifiedAt = Date.now();
+    // A rejected payment has given back its credit and coupon, and a refunded one has
+    // been settled, so neither can be verified or rejected again
+    if (['rejected', 'refunded'].includes(payment.status)) {
+      return res.status(400).json({ message: `This payment has already been ${payment.status}` });
     }
     
-    await payment.save();
+    const before = auditSnapshot('Payment', payment);
+    
+    // Update payment status based on verification, only if nobody changed it in the meantime
+    payment = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: payment.status },
+      {
+        $set: {
+          status: verified ? 'verified' : 'rejected',
+          verifiedBy: req.user.id,
+          verifiedAt: Date.now()
+        }
+      },
+      { new: true }
+    );
+    if (!payment) {
+      return res.status(409).json({ message: 'This payment was changed in the meantime. Please reload it and try again.' });
+    }
+    await recordAudit(req, verified ? 'payment.verify' : 'payment.reject', 'Payment', { entity: payment, before });
+    
+    if (!verified) {
+      // Credit spent on a booking whose UPI payment was rejected goes back to the wallet,
+      // and the coupon use is given back, unless cancelling the interview already settled it
+      if (!payment.refundRequestedAt) {
+        if (payment.creditApplied > 0) {
+          await addCredit(payment.paidBy, payment.creditApplied, {
+            source: 'booking-reversal',
+            reason: 'Payment rejected',
+            interview: interview._id,
+            payment: payment._id
+          });
+        }
+        if (payment.coupon) {
+          await releaseCoupon(payment.coupon, payment._id);
+        }
+      }
+      
+      // The interview was never paid for, so it does not go ahead and its slot is freed
+      if (interview.status === 'scheduled') {
+        const interviewBefore = auditSnapshot('Interview', interview);
+        const statusError = changeInterviewStatus(interview, 'cancelled', {
+          actor: req.user.id,
+          role: getActorRole(interview, req.user),
+          reason: 'Payment rejected'
+        });
+        if (!statusError) {
+          await interview.save();
+          await recordAudit(req, 'interview.cancel', 'Interview', { entity: interview, before: interviewBefore });
+          if (interview.slot) {
+            await releaseSlot(interview.slot);
+            await offerSlotToWaitlist(interview.slot);
+          }
+        }
+      }
+    }
     
     // If payment was verified, send confirmation email to candidate
     if (verified) {
@@ -567,7 +928,9 @@ exports.getPendingPayments = async (req, res) => {
           path: 'candidate',
           select: 'name email'
         }
-      });
+      })
+      .populate('packagePurchase', 'name price')
+      .populate('paidBy', 'name email');
     
     res.json(payments);
   } catch (err) {
@@ -648,13 +1011,20 @@ exports.deletePayment = async (req, res) => {
       const interview = await Interview.findById(payment.interview);
       if (interview) {
         // Remove payment reference from interview
+        const interviewBefore = auditSnapshot('Interview', interview);
         interview.paymentId = undefined;
         await interview.save();
+        await recordAudit(req, 'interview.detachPayment', 'Interview', { entity: interview, before: interviewBefore });
       }
     }
     
     // Delete the payment
     await Payment.findByIdAndDelete(paymentId);
+    await recordAudit(req, 'payment.delete', 'Payment', {
+      entityId: payment._id,
+      before: auditSnapshot('Payment', payment),
+      after: null
+    });
     
     res.json({ message: 'Payment deleted successfully' });
   } catch (err) {
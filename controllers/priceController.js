@@ -1,5 +1,6 @@
 const InterviewPrice = require('../models/InterviewPrice');
 const { validationResult } = require('express-validator');
+const { getInterviewType, getInterviewTypes } = require('../utils/interviewTypes');
 
 // Get all interview prices
 exports.getAllPrices = async (req, res) => {
@@ -17,7 +18,7 @@ exports.getPriceByType = async (req, res) => {
   try {
     const { interviewType } = req.params;
     
-    if (!['DSA', 'System Design'].includes(interviewType)) {
+    if (!(await getInterviewType(interviewType))) {
       return res.status(400).json({ message: 'Invalid interview type' });
     }
     
@@ -44,7 +45,7 @@ exports.updatePrice = async (req, res) => {
     
     const { interviewType, price, currency } = req.body;
     
-    if (!['DSA', 'System Design'].includes(interviewType)) {
+    if (!(await getInterviewType(interviewType))) {
       return res.status(400).json({ message: 'Invalid interview type' });
     }
     
@@ -79,28 +80,22 @@ exports.updatePrice = async (req, res) => {
   }
 };
 
-// Initialize default prices if they don't exist
+// Initialize prices from each interview type's default price if they don't exist
 exports.initializePrices = async () => {
   try {
-    const dsaPrice = await InterviewPrice.findOne({ interviewType: 'DSA' });
-    const systemDesignPrice = await InterviewPrice.findOne({ interviewType: 'System Design' });
+    const types = await getInterviewTypes(true);
     
-    if (!dsaPrice) {
-      await new InterviewPrice({
-        interviewType: 'DSA',
-        price: 1000, // Default price in INR
-        currency: 'INR'
-      }).save();
-      console.log('Default DSA interview price initialized');
-    }
-    
-    if (!systemDesignPrice) {
-      await new InterviewPrice({
-        interviewType: 'System Design',
-        price: 1500, // Default price in INR
-        currency: 'INR'
-      }).save();
-      console.log('Default System Design interview price initialized');
+    for (const type of types) {
+      const existingPrice = await InterviewPrice.findOne({ interviewType: type.name });
+      
+      if (!existingPrice) {
+        await new InterviewPrice({
+          interviewType: type.name,
+          price: type.defaultPrice,
+          currency: type.currency
+        }).save();
+        console.log(`Default ${type.name} interview price initialized`);
+      }
     }
   } catch (err) {
     console.error('Error initializing prices:', err);
@@ -0,0 +1,155 @@
+const PricingRule = require('../models/PricingRule');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+
+const RULE_FIELDS = [
+  'name',
+  'type',
+  'adjustmentType',
+  'value',
+  'interviewTypes',
+  'interviewer',
+  'startTime',
+  'endTime',
+  'daysOfWeek',
+  'minDaysInAdvance',
+  'isActive'
+];
+
+const pickRuleValues = (body) =>
+  RULE_FIELDS.reduce((values, field) => {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+    return values;
+  }, {});
+
+// Check the settings each rule type needs
+const getRuleError = async (rule) => {
+  if (rule.adjustmentType === 'percentage' && rule.type === 'early-bird' && rule.value > 100) {
+    return 'An early-bird discount cannot be more than 100 percent';
+  }
+
+  switch (rule.type) {
+    case 'interviewer-premium': {
+      const interviewer = rule.interviewer && await User.findById(rule.interviewer);
+      if (!interviewer || interviewer.role !== 'interviewer') {
+        return 'An interviewer premium needs a valid interviewer';
+      }
+      return null;
+    }
+    case 'peak-hours':
+      if (!rule.startTime || !rule.endTime || rule.startTime >= rule.endTime) {
+        return 'Peak hours need a start time before the end time (HH:mm)';
+      }
+      if (!rule.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return 'Days of week must be integers between 0 (Sunday) and 6 (Saturday)';
+      }
+      return null;
+    case 'early-bird':
+      if (!rule.minDaysInAdvance) {
+        return 'An early-bird discount needs the number of days in advance';
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Get pricing rules (?includeInactive=true for all)
+exports.getRules = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const rules = await PricingRule.find(query)
+      .populate('interviewer', 'name email')
+      .sort({ createdAt: 1 });
+    res.json(rules);
+  } catch (err) {
+    console.error('Error fetching pricing rules:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Create a pricing rule (admin only)
+exports.createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = new PricingRule({
+      ...pickRuleValues(req.body),
+      updatedBy: req.user.id
+    });
+
+    const ruleError = await getRuleError(rule);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    await rule.save();
+
+    res.status(201).json({
+      message: `Pricing rule ${rule.name} created successfully`,
+      rule
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error creating pricing rule:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Update a pricing rule (admin only). Payments already made keep their price.
+exports.updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Pricing rule not found' });
+    }
+
+    Object.assign(rule, pickRuleValues(req.body));
+    rule.updatedBy = req.user.id;
+
+    const ruleError = await getRuleError(rule);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    await rule.save();
+
+    res.json({
+      message: `Pricing rule ${rule.name} updated successfully`,
+      rule
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error updating pricing rule:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Delete a pricing rule (admin only)
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Pricing rule not found' });
+    }
+
+    res.json({ message: `Pricing rule ${rule.name} deleted successfully` });
+  } catch (err) {
+    console.error('Error deleting pricing rule:', err);
+    res.status(500).send('Server error');
+  }
+};
@@ -1,6 +1,9 @@
 const Problem = require('../models/Problem');
 const Interview = require('../models/Interview');
 const { validationResult } = require('express-validator');
+const { getInterviewType } = require('../utils/interviewTypes');
+const { changeInterviewStatus } = require('../utils/interviewStatus');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
 
 // Create a new problem
 exports.createProblem = async (req, res) => {
@@ -219,6 +222,12 @@ exports.assignRandomProblem = async (req, res) => {
       return res.status(400).json({ message: 'Interview already has a problem assigned' });
     }
     
+    // Only some interview types draw from the problem bank
+    const type = await getInterviewType(interview.interviewType);
+    if (!type || !type.autoAssignProblem) {
+      return res.status(400).json({ message: `Problems are not assigned for ${interview.interviewType} interviews` });
+    }
+    
     // Get a random problem
     const count = await Problem.countDocuments();
     if (count === 0) {
@@ -228,11 +237,21 @@ exports.assignRandomProblem = async (req, res) => {
     const random = Math.floor(Math.random() * count);
     const problem = await Problem.findOne().skip(random);
     
-    // Assign problem to interview
+    // Assign problem to interview; assigning the problem starts the interview
+    const before = auditSnapshot('Interview', interview);
+    const statusError = changeInterviewStatus(interview, 'in-progress', {
+      actor: req.user.id,
+      role: 'interviewer',
+      reason: 'Problem assigned'
+    });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
     interview.problem = problem._id;
-    interview.status = 'in-progress';
     await interview.save();
     
+    await recordAudit(req, 'interview.assignProblem', 'Interview', { entity: interview, before });
+    
     res.json({
       message: 'Problem assigned successfully',
       interview,
@@ -265,11 +284,21 @@ exports.updateRecordingUrl = async (req, res) => {
       return res.status(403).json({ message: 'Only the interviewer can update recording URL' });
     }
     
-    // Update recording URL
+    // Update recording URL; a recording means the interview took place
+    const before = auditSnapshot('Interview', interview);
+    const statusError = changeInterviewStatus(interview, 'completed', {
+      actor: req.user.id,
+      role: 'interviewer',
+      reason: 'Recording uploaded'
+    });
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
     interview.recordingUrl = recordingUrl;
-    interview.status = 'completed';
     await interview.save();
     
+    await recordAudit(req, 'interview.updateRecording', 'Interview', { entity: interview, before });
+    
     res.json({
       message: 'Recording URL updated successfully',
       interview
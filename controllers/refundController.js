@@ -0,0 +1,151 @@
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const Interview = require('../models/Interview');
+const User = require('../models/User');
+const multer = require('multer');
+const { validationResult } = require('express-validator');
+const { uploadToS3 } = require('../utils/s3');
+const { auditSnapshot, recordAudit } = require('../utils/auditLog');
+const { sendRefundPaidNotification } = require('../utils/email');
+
+// Configure multer for refund proof uploads using memory storage for S3
+exports.uploadRefundProof = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === 'image/png' ||
+      file.mimetype === 'image/jpeg' ||
+      file.mimetype === 'image/jpg'
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .png, .jpg and .jpeg formats are allowed!'), false);
+    }
+  }
+}).single('refundProof');
+
+// Get refunds with pagination, optionally filtered by status
+exports.getRefunds = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const refunds = await Refund.find(query)
+      .populate('candidate', 'name email')
+      .populate('interview', 'scheduledDate interviewType timeZone status')
+      .populate('payment', 'amount transactionId status')
+      .populate('processedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Refund.countDocuments(query);
+
+    res.json({
+      refunds,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching refunds:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Get the candidate's own refunds
+exports.getMyRefunds = async (req, res) => {
+  try {
+    const refunds = await Refund.find({ candidate: req.user.id })
+      .populate('interview', 'scheduledDate interviewType timeZone status')
+      .sort({ createdAt: -1 });
+
+    res.json(refunds);
+  } catch (err) {
+    console.error('Error fetching candidate refunds:', err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Record that a refund has been paid out to the candidate
+exports.markRefundPaid = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { upiReference, method } = req.body;
+
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+    if (refund.status !== 'pending') {
+      return res.status(400).json({ message: 'This refund has already been paid' });
+    }
+
+    const before = auditSnapshot('Refund', refund);
+
+    let proofUrl;
+    if (req.file) {
+      proofUrl = await uploadToS3(req.file, 'refund-proofs');
+    }
+
+    // Only one admin can mark the refund as paid
+    const updatedRefund = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      {
+        $set: {
+          status: 'paid',
+          method: method || 'upi',
+          upiReference,
+          proofUrl,
+          processedBy: req.user.id,
+          processedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!updatedRefund) {
+      return res.status(409).json({ message: 'This refund has already been paid' });
+    }
+    await recordAudit(req, 'refund.markPaid', 'Refund', { entity: updatedRefund, before });
+
+    // A full refund settles the payment; partial refunds keep the payment as it was
+    if (updatedRefund.policy === 'full') {
+      const payment = await Payment.findById(updatedRefund.payment);
+      if (payment) {
+        const paymentBefore = auditSnapshot('Payment', payment);
+        payment.status = 'refunded';
+        await payment.save();
+        await recordAudit(req, 'payment.refund', 'Payment', { entity: payment, before: paymentBefore });
+      }
+    }
+
+    try {
+      const interview = await Interview.findById(updatedRefund.interview);
+      const candidate = await User.findById(updatedRefund.candidate);
+      const admin = await User.findOne({ role: 'admin' });
+      const adminEmail = admin ? admin.email : process.env.ADMIN_EMAIL || 'admin@s30mocks.com';
+      await sendRefundPaidNotification(updatedRefund, interview, candidate, adminEmail);
+    } catch (emailError) {
+      console.error('Error sending refund paid email:', emailError);
+      // Continue with the response even if email fails
+    }
+
+    res.json(updatedRefund);
+  } catch (err) {
+    console.error('Error marking refund as paid:', err.message);
+    res.status(500).send('Server error');
+  }
+};
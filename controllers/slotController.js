@@ -1,9 +1,48 @@
 const InterviewSlot = require("../models/InterviewSlot");
 const User = require("../models/User");
 const Interview = require("../models/Interview");
-const InterviewPrice = require("../models/InterviewPrice");
 const { validationResult } = require("express-validator");
+const multer = require("multer");
+const { validateSlotEntries } = require("../utils/slotValidation");
+const {
+  getInterviewType,
+  getActiveInterviewType,
+  getInvalidTypeMessage,
+  getDurationError,
+} = require("../utils/interviewTypes");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  localizeSlot,
+} = require("../utils/timezone");
 const { scheduleInterviewReminder } = require("../utils/scheduler");
+const {
+  notHeldByOthers,
+  claimSlot,
+  attachInterviewToSlot,
+  releaseSlot,
+} = require("../utils/slotBooking");
+const { filterBookableSlots, checkSlotLimits } = require("../utils/interviewerLimits");
+const { planBulkOperation, applyBulkOperation } = require("../utils/slotBulk");
+const { readScheduleFile, buildImportEntries } = require("../utils/slotImport");
+const { auditSnapshot, recordAudit, recordAuditBatch } = require("../utils/auditLog");
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateWindows,
+  decodeCursor,
+  searchSlots,
+} = require("../utils/slotSearch");
+const {
+  offerSlotToWaitlist,
+  fulfillWaitlistOffer,
+} = require("../utils/waitlist");
+const { loadPricingContext, resolveSlotPrice, getSlotPrice } = require("../utils/pricing");
+const {
+  consumePackageCredit,
+  recordPackageUsage,
+  restorePackageCredit,
+} = require("../utils/packages");
 const {
   sendEmail,
   sendInterviewBookingNotification,
@@ -13,10 +52,14 @@ const {
 // Get all available slots
 exports.getAvailableSlots = async (req, res) => {
   try {
-    const { startDate, endDate, interviewerId, interviewType } = req.query;
+    const { startDate, endDate, interviewerId, interviewType, tz } = req.query;
 
-    // Build filter
-    const filter = { isBooked: false };
+    if (tz && !isValidTimeZone(tz)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    // Build filter, hiding slots temporarily held by other candidates
+    const filter = { isBooked: false, ...notHeldByOthers(req.user.id) };
 
     // Add interviewer filter if provided
     if (interviewerId) {
@@ -24,7 +67,7 @@ exports.getAvailableSlots = async (req, res) => {
     }
 
     // Add interview type filter if provided
-    if (interviewType && ["DSA", "System Design"].includes(interviewType)) {
+    if (interviewType && (await getInterviewType(interviewType))) {
       filter.interviewType = interviewType;
     }
 
@@ -39,10 +82,8 @@ exports.getAvailableSlots = async (req, res) => {
     } else if (endDate) {
       filter.startTime = { $lte: new Date(endDate) };
     } else {
-      // Default to slots at least 24 hours in the future if no dates specified
-      const minBookingTime = new Date();
-      minBookingTime.setHours(minBookingTime.getHours() + 24); // Add 24 hours to current time
-      filter.startTime = { $gte: minBookingTime };
+      // Default to future slots; lead time and horizon are applied per slot below
+      filter.startTime = { $gte: new Date() };
     }
 
     // Get available slots
@@ -51,26 +92,25 @@ exports.getAvailableSlots = async (req, res) => {
       .sort({ startTime: 1 });
 
     // Filter out slots where the interviewer is not currently an interviewer
-    const filteredSlots = slots.filter(slot => slot.interviewer && slot.interviewer.role === "interviewer");
-
-    // Get prices for each interview type
-    const prices = await InterviewPrice.find();
-    const priceMap = {};
-    prices.forEach((price) => {
-      priceMap[price.interviewType] = {
-        price: price.price,
-        currency: price.currency,
-      };
-    });
+    const interviewerSlots = slots.filter(slot => slot.interviewer && slot.interviewer.role === "interviewer");
 
-    // Add price information to each slot
+    // Hide slots outside the booking lead time and horizon, too close to another
+    // interview, in interviewer blackouts or beyond their daily/weekly caps
+    const filteredSlots = await filterBookableSlots(interviewerSlots);
+
+    // Load base prices and pricing rules once for all slots
+    const pricingContext = await loadPricingContext();
+
+    // Add price information and viewer-local times to each slot
     const slotsWithPrices = filteredSlots.map((slot) => {
       const slotObj = slot.toObject();
-      if (priceMap[slot.interviewType]) {
-        slotObj.price = priceMap[slot.interviewType].price;
-        slotObj.currency = priceMap[slot.interviewType].currency;
+      const pricing = resolveSlotPrice(slot, pricingContext);
+      if (pricing) {
+        slotObj.price = pricing.price;
+        slotObj.currency = pricing.currency;
+        slotObj.priceBreakdown = { basePrice: pricing.basePrice, adjustments: pricing.adjustments };
       }
-      return slotObj;
+      return localizeSlot(slotObj, tz);
     });
 
     res.json(slotsWithPrices);
@@ -80,6 +120,99 @@ exports.getAvailableSlots = async (req, res) => {
   }
 };
 
+// Search available slots across all interviewers, ranked and grouped by day
+exports.searchSlots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      interviewType,
+      tz,
+      windows,
+      startDate,
+      endDate,
+      minRating,
+      companies,
+      minExperienceYears,
+      cursor,
+      limit,
+    } = req.body;
+
+    const timeZone = tz || DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    if (interviewType && !(await getInterviewType(interviewType))) {
+      return res.status(400).json({ message: await getInvalidTypeMessage() });
+    }
+
+    const windowError = windows ? validateWindows(windows) : null;
+    if (windowError) {
+      return res.status(400).json({ message: windowError });
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+
+    const { suggestions, total, nextCursor } = await searchSlots({
+      userId: req.user.id,
+      interviewType,
+      timeZone,
+      windows,
+      startDate,
+      endDate,
+      minRating: minRating ? Number(minRating) : undefined,
+      companies: companies || [],
+      minExperienceYears: minExperienceYears ? Number(minExperienceYears) : undefined,
+      after,
+      limit: Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    });
+
+    // Load base prices and pricing rules once for all slots
+    const pricingContext = await loadPricingContext();
+
+    // Group the page by day in the viewer's timezone, keeping the ranking order
+    const days = [];
+    suggestions.forEach(({ slot, rank, experienceYears }) => {
+      const slotObj = slot.toObject();
+      const { workExperiences, ...interviewer } = slotObj.interviewer;
+      slotObj.interviewer = { ...interviewer, experienceYears };
+      slotObj.rank = rank;
+      const pricing = resolveSlotPrice(slot, pricingContext);
+      if (pricing) {
+        slotObj.price = pricing.price;
+        slotObj.currency = pricing.currency;
+        slotObj.priceBreakdown = { basePrice: pricing.basePrice, adjustments: pricing.adjustments };
+      }
+
+      const localized = localizeSlot(slotObj, timeZone);
+      const date = localized.localStartTime.slice(0, 10);
+      let day = days.find((group) => group.date === date);
+      if (!day) {
+        day = { date, slots: [] };
+        days.push(day);
+      }
+      day.slots.push(localized);
+    });
+
+    res.json({
+      timeZone,
+      total,
+      days,
+      nextCursor,
+    });
+  } catch (err) {
+    console.error("Error searching slots:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 // Book a slot
 exports.bookSlot = async (req, res) => {
   try {
@@ -94,14 +227,12 @@ exports.bookSlot = async (req, res) => {
 
     // Check if slot is already booked
     if (slot.isBooked) {
-      return res.status(400).json({ message: "Slot is already booked" });
+      return res.status(409).json({ message: "Slot is already booked" });
     }
 
-    // Get the price for this interview type
-    const priceRecord = await InterviewPrice.findOne({
-      interviewType: slot.interviewType,
-    });
-    if (!priceRecord) {
+    // Get the price for this slot: the base price for its type plus any pricing rules
+    const pricing = await getSlotPrice(slot);
+    if (!pricing) {
       return res.status(404).json({
         message: `Price for ${slot.interviewType} interviews not found`,
       });
@@ -115,8 +246,9 @@ exports.bookSlot = async (req, res) => {
     }).populate('paymentId');
     
     // Filter to find interviews with pending, submitted, or no payments
+    // (interviews booked with a package credit were paid for with the package)
     const pendingInterviews = candidateInterviews.filter(interview => 
-      !interview.paymentId || 
+      (!interview.paymentId && !interview.packagePurchase) || 
       (interview.paymentId && ['pending', 'submitted', 'rejected'].includes(interview.paymentId.status))
     );
 
@@ -130,19 +262,47 @@ exports.bookSlot = async (req, res) => {
 
     // IMPORTANT: Check if payment has been submitted
     // Only allow direct booking if paymentSubmitted=true is passed (from the pre-booking payment flow)
+    // or the candidate has a package credit for this interview type, which is used up instead
+    let packageCredit = null;
     if (paymentSubmitted !== 'true') {
-      return res.status(400).json({
-        message: "Payment is required before booking a slot. Please use the Book & Pay button.",
-        requiresPayment: true
-      });
+      packageCredit = await consumePackageCredit(req.user.id, slot.interviewType);
+      if (!packageCredit) {
+        return res.status(400).json({
+          message: "Payment is required before booking a slot. Please use the Book & Pay button.",
+          requiresPayment: true
+        });
+      }
     }
+    const returnPackageCredit = async () => {
+      if (packageCredit) {
+        await restorePackageCredit(packageCredit.purchase._id, slot.interviewType);
+      }
+    };
 
     // Set duration based on interview type
-    const duration = slot.interviewType === "DSA" ? 40 : 50;
+    const type = await getInterviewType(slot.interviewType);
+    const duration = type
+      ? type.duration
+      : Math.round((slot.endTime - slot.startTime) / (1000 * 60));
 
     // Find interviewer
     const interviewer = await User.findById(slot.interviewer);
 
+    // Atomically claim the slot so concurrent bookings cannot both succeed
+    const claimedSlot = await claimSlot(slot._id, req.user.id);
+    if (!claimedSlot) {
+      await returnPackageCredit();
+      return res.status(409).json({ message: "Slot is already booked or held by another candidate" });
+    }
+
+    // Respect the interviewer's blackouts and booking caps, counting slots other bookings have claimed
+    const limitViolation = await checkSlotLimits(claimedSlot);
+    if (limitViolation) {
+      await releaseSlot(slot._id);
+      await returnPackageCredit();
+      return res.status(409).json({ message: limitViolation });
+    }
+
     // Create interview
     const interview = new Interview({
       candidate: req.user.id,
@@ -150,22 +310,37 @@ exports.bookSlot = async (req, res) => {
       interviewType: slot.interviewType,
       scheduledDate: slot.startTime,
       duration: duration,
-      price: priceRecord.price,
-      currency: priceRecord.currency,
+      price: packageCredit ? packageCredit.unitPrice : pricing.price,
+      currency: pricing.currency,
       status: "scheduled",
+      packagePurchase: packageCredit ? packageCredit.purchase._id : undefined,
       slot: slot._id, // Set the reference to the slot
-      timeZone: slot.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone, // Use slot timezone or system timezone
+      timeZone: slot.timeZone || DEFAULT_TIMEZONE, // Inherit the interviewer's timezone from the slot
       meetingLink:
         interviewer?.defaultMeetingLink ||
         "ping support team in whatsapp for link",
     });
 
-    await interview.save();
-
-    // Update slot
-    slot.isBooked = true;
-    slot.interview = interview._id;
-    await slot.save();
+    try {
+      await interview.save();
+      await attachInterviewToSlot(slot._id, interview._id);
+    } catch (bookingError) {
+      // Undo the claim so the slot does not stay booked without an interview
+      await Interview.deleteOne({ _id: interview._id });
+      await releaseSlot(slot._id);
+      await returnPackageCredit();
+      throw bookingError;
+    }
+    if (packageCredit) {
+      await recordPackageUsage(packageCredit.purchase._id, interview);
+    }
+    claimedSlot.interview = interview._id;
+    await recordAudit(req, "interview.create", "Interview", { entity: interview });
+    await recordAudit(req, "slot.book", "InterviewSlot", {
+      entity: claimedSlot,
+      before: auditSnapshot("InterviewSlot", slot),
+    });
+    await fulfillWaitlistOffer(req.user.id, slot._id);
 
     // Schedule email reminders for 30 minutes before the interview
     await scheduleInterviewReminder(interview._id);
@@ -247,9 +422,11 @@ S30 Mocks System`
     }
 
     res.json({
-      message: "Slot booked successfully",
+      message: packageCredit
+        ? `Slot booked using a credit from your ${packageCredit.purchase.name} package`
+        : "Slot booked successfully",
       interview,
-      slot,
+      slot: claimedSlot,
     });
   } catch (err) {
     console.error(err.message);
@@ -261,6 +438,11 @@ S30 Mocks System`
 exports.getSlotById = async (req, res) => {
   try {
     const { slotId } = req.params;
+    const { tz } = req.query;
+    
+    if (tz && !isValidTimeZone(tz)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
     
     // Find the slot
     const slot = await InterviewSlot.findById(slotId)
@@ -270,17 +452,18 @@ exports.getSlotById = async (req, res) => {
       return res.status(404).json({ message: 'Slot not found' });
     }
     
-    // Get price for this interview type
-    const priceRecord = await InterviewPrice.findOne({ interviewType: slot.interviewType });
+    // Get the price for this slot, including any pricing rules that apply
+    const pricing = await getSlotPrice(slot);
     
     // Add price information to the slot
     const slotWithPrice = slot.toObject();
-    if (priceRecord) {
-      slotWithPrice.price = priceRecord.price;
-      slotWithPrice.currency = priceRecord.currency;
+    if (pricing) {
+      slotWithPrice.price = pricing.price;
+      slotWithPrice.currency = pricing.currency;
+      slotWithPrice.priceBreakdown = { basePrice: pricing.basePrice, adjustments: pricing.adjustments };
     }
     
-    res.json(slotWithPrice);
+    res.json(localizeSlot(slotWithPrice, tz));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -320,6 +503,11 @@ exports.deleteSlot = async (req, res) => {
 
     // Delete the slot
     await InterviewSlot.findByIdAndDelete(slotId);
+    await recordAudit(req, "slot.delete", "InterviewSlot", {
+      entityId: slot._id,
+      before: auditSnapshot("InterviewSlot", slot),
+      after: null,
+    });
 
     res.json({ message: "Slot deleted successfully" });
   } catch (err) {
@@ -331,7 +519,7 @@ exports.deleteSlot = async (req, res) => {
 // Create a slot (for interviewers)
 exports.createInterviewerSlot = async (req, res) => {
   try {
-    const { startTime, endTime, interviewType } = req.body;
+    const { startTime, endTime, interviewType, timeZone } = req.body;
 
     // Validate input
     if (!startTime || !endTime) {
@@ -345,12 +533,17 @@ exports.createInterviewerSlot = async (req, res) => {
       return res.status(400).json({ message: "Interview type is required" });
     }
 
-    if (!["DSA", "System Design"].includes(interviewType)) {
+    const type = await getActiveInterviewType(interviewType);
+    if (!type) {
       return res.status(400).json({
-        message: "Interview type must be either DSA or System Design",
+        message: await getInvalidTypeMessage(),
       });
     }
 
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
     // Check if user is an interviewer
     if (req.user.role !== "interviewer" && req.user.role !== "admin") {
       return res
@@ -390,19 +583,9 @@ exports.createInterviewerSlot = async (req, res) => {
     }
 
     // Validate duration based on interview type
-    const durationMinutes = (end - start) / (1000 * 60);
-    if (interviewType === "DSA" && Math.abs(durationMinutes - 40) > 1) {
-      return res
-        .status(400)
-        .json({ message: "DSA interview slots must be 40 minutes" });
-    }
-    if (
-      interviewType === "System Design" &&
-      Math.abs(durationMinutes - 50) > 1
-    ) {
-      return res
-        .status(400)
-        .json({ message: "System Design interview slots must be 50 minutes" });
+    const durationError = getDurationError(type, start, end);
+    if (durationError) {
+      return res.status(400).json({ message: durationError });
     }
 
     // Check if slot already exists
@@ -426,10 +609,15 @@ exports.createInterviewerSlot = async (req, res) => {
       startTime: start,
       endTime: end,
       interviewType,
+      timeZone: timeZone || DEFAULT_TIMEZONE,
       createdBy: req.user.id,
     });
 
     await slot.save();
+    await recordAudit(req, "slot.create", "InterviewSlot", { entity: slot });
+
+    // Offer the new slot to the first matching waitlisted candidate
+    await offerSlotToWaitlist(slot._id);
 
     res.status(201).json({
       message: "Slot created successfully",
@@ -444,12 +632,17 @@ exports.createInterviewerSlot = async (req, res) => {
 // Get interviewer's slots
 exports.getInterviewerSlots = async (req, res) => {
   try {
-    const { startDate, endDate, interviewType } = req.query;
+    const { startDate, endDate, interviewType, tz } = req.query;
+
+    if (tz && !isValidTimeZone(tz)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
     // Build filter
     const filter = { interviewer: req.user.id };
     
     // Add interview type filter if provided
-    if (interviewType && ["DSA", "System Design"].includes(interviewType)) {
+    if (interviewType && (await getInterviewType(interviewType))) {
       filter.interviewType = interviewType;
     }
 
@@ -475,7 +668,7 @@ exports.getInterviewerSlots = async (req, res) => {
       .populate("interview", "candidate status")
       .sort({ startTime: 1 });
 
-    res.json(slots);
+    res.json(slots.map((slot) => localizeSlot(slot.toObject(), tz)));
   } catch (err) {
     console.error(err.message);
     res.status(500).send("Server error");
@@ -485,7 +678,7 @@ exports.getInterviewerSlots = async (req, res) => {
 // Create multiple slots at once (for recurring slots)
 exports.createBatchSlots = async (req, res) => {
   try {
-    const { interviewType, slots } = req.body;
+    const { interviewType, slots, timeZone } = req.body;
 
     // Validate input
     if (
@@ -500,12 +693,17 @@ exports.createBatchSlots = async (req, res) => {
     }
 
     // Validate interview type
-    if (!["DSA", "System Design"].includes(interviewType)) {
+    const type = await getActiveInterviewType(interviewType);
+    if (!type) {
       return res.status(400).json({
-        message: "Interview type must be either DSA or System Design",
+        message: await getInvalidTypeMessage(),
       });
     }
 
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
     // Check if user is an interviewer
     if (req.user.role !== "interviewer" && req.user.role !== "admin") {
       return res
@@ -513,47 +711,57 @@ exports.createBatchSlots = async (req, res) => {
         .json({ message: "Only interviewers can create slots" });
     }
 
-    // Validate each slot's start and end times
-    for (const slot of slots) {
-      const start = new Date(slot.start);
-      const end = new Date(slot.end);
+    // Validate every entry up front so the batch is saved entirely or not at all
+    const report = await validateSlotEntries(
+      req.user.id,
+      slots.map((slot) => ({ start: slot.start, end: slot.end, interviewType }))
+    );
+    const invalidEntries = report.filter((entry) => !entry.valid);
 
-      // Validate times
-      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-        return res.status(400).json({ message: "Invalid start or end time" });
-      }
+    if (invalidEntries.length > 0) {
+      return res.status(400).json({
+        message: `${invalidEntries.length} of ${slots.length} slots are invalid. No slots were created.`,
+        report,
+      });
+    }
 
-      // Check if start time is before end time
-      if (start >= end) {
-        return res
-          .status(400)
-          .json({ message: "Start time must be before end time" });
-      }
+    const newSlots = report.map(
+      (entry) =>
+        new InterviewSlot({
+          interviewer: req.user.id,
+          startTime: entry.start,
+          endTime: entry.end,
+          interviewType,
+          timeZone: timeZone || DEFAULT_TIMEZONE,
+          createdBy: req.user.id,
+        })
+    );
 
-      // Check if the slot is in the future
-      if (start <= new Date()) {
-        return res.status(400).json({ message: "Slots must be in the future" });
-      }
+    try {
+      await InterviewSlot.insertMany(newSlots);
+    } catch (insertError) {
+      // Remove whatever was inserted before the failure
+      await InterviewSlot.deleteMany({
+        _id: { $in: newSlots.map((slot) => slot._id) },
+      });
+      throw insertError;
     }
 
-    // Create all slots
-    const createdSlots = [];
-    for (const slot of slots) {
-      const newSlot = new InterviewSlot({
-        interviewer: req.user.id,
-        startTime: slot.start,
-        endTime: slot.end,
-        interviewType,
-        status: "available",
-      });
+    await recordAuditBatch(
+      req,
+      "slot.create",
+      "InterviewSlot",
+      newSlots.map((slot) => ({ entity: slot }))
+    );
 
-      await newSlot.save();
-      createdSlots.push(newSlot);
+    for (const slot of newSlots) {
+      await offerSlotToWaitlist(slot._id);
     }
 
     res.status(201).json({
-      message: `Successfully created ${createdSlots.length} slots`,
-      slots: createdSlots,
+      message: `Successfully created ${newSlots.length} slots`,
+      slots: newSlots,
+      report,
     });
   } catch (err) {
     console.error("Error creating batch slots:", err.message);
@@ -587,6 +795,11 @@ exports.deleteInterviewerSlot = async (req, res) => {
 
     // Delete the slot
     await InterviewSlot.findByIdAndDelete(slotId);
+    await recordAudit(req, "slot.delete", "InterviewSlot", {
+      entityId: slot._id,
+      before: auditSnapshot("InterviewSlot", slot),
+      after: null,
+    });
 
     res.json({ message: "Slot deleted successfully" });
   } catch (err) {
@@ -595,6 +808,177 @@ exports.deleteInterviewerSlot = async (req, res) => {
   }
 };
 
+// Configure multer for schedule file uploads (CSV or JSON) kept in memory
+exports.uploadScheduleFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }, // 1MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only .csv and .json schedule files are allowed!"), false);
+    }
+  },
+}).single("file");
+
+// Import slots from a CSV or JSON schedule file.
+// Without confirm the file is only validated; with confirm=true all rows are
+// created, and nothing is created if any row is invalid.
+exports.importSlots = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "Schedule file is required" });
+    }
+
+    const { timeZone } = req.body;
+    const confirm = req.body.confirm === true || req.body.confirm === "true";
+
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    const { error, rows } = readScheduleFile(req.file);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entries = await buildImportEntries(rows, timeZone || DEFAULT_TIMEZONE);
+
+    // Rows that parsed go through the same checks as batch slot creation
+    const parsed = entries.filter((entry) => entry.errors.length === 0);
+    const validation = await validateSlotEntries(
+      req.user.id,
+      parsed.map((entry) => ({
+        start: entry.start,
+        end: entry.end,
+        interviewType: entry.interviewType,
+      }))
+    );
+    validation.forEach((item) => {
+      parsed[item.index].errors.push(...item.errors);
+    });
+
+    const report = entries.map((entry) => ({
+      ...entry,
+      valid: entry.errors.length === 0,
+    }));
+    const invalidCount = report.filter((entry) => !entry.valid).length;
+
+    if (!confirm) {
+      return res.json({
+        message: `${report.length - invalidCount} of ${report.length} rows are valid`,
+        committed: false,
+        report,
+      });
+    }
+
+    if (invalidCount > 0) {
+      return res.status(400).json({
+        message: `${invalidCount} of ${report.length} rows are invalid. No slots were created.`,
+        committed: false,
+        report,
+      });
+    }
+
+    const newSlots = report.map(
+      (entry) =>
+        new InterviewSlot({
+          interviewer: req.user.id,
+          startTime: entry.start,
+          endTime: entry.end,
+          interviewType: entry.interviewType,
+          timeZone: entry.timeZone,
+          createdBy: req.user.id,
+        })
+    );
+
+    try {
+      await InterviewSlot.insertMany(newSlots);
+    } catch (insertError) {
+      // Remove whatever was inserted before the failure
+      await InterviewSlot.deleteMany({
+        _id: { $in: newSlots.map((slot) => slot._id) },
+      });
+      throw insertError;
+    }
+
+    await recordAuditBatch(
+      req,
+      "slot.import",
+      "InterviewSlot",
+      newSlots.map((slot) => ({ entity: slot }))
+    );
+
+    for (const slot of newSlots) {
+      await offerSlotToWaitlist(slot._id);
+    }
+
+    res.status(201).json({
+      message: `Successfully imported ${newSlots.length} slots`,
+      committed: true,
+      slots: newSlots,
+      report,
+    });
+  } catch (err) {
+    console.error("Error importing slots:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Delete, retype or shift the interviewer's slots in a date range.
+// With dryRun the affected slots are only previewed.
+exports.bulkUpdateInterviewerSlots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { operation, dryRun } = req.body;
+
+    const plan = await planBulkOperation(req.user.id, req.body);
+    if (plan.error) {
+      return res.status(400).json({ message: plan.error });
+    }
+
+    const { changes, skipped } = dryRun
+      ? plan
+      : await applyBulkOperation(operation, plan);
+
+    if (!dryRun) {
+      await recordAuditBatch(
+        req,
+        `slot.bulk.${operation}`,
+        "InterviewSlot",
+        changes.map((change) => ({
+          entityId: change.slot._id,
+          before: auditSnapshot("InterviewSlot", change.slot),
+          after: change.after
+            ? auditSnapshot("InterviewSlot", { ...change.slot.toObject(), ...change.after })
+            : null,
+        }))
+      );
+    }
+
+    res.json({
+      message: dryRun
+        ? `${changes.length} slots would be changed, ${skipped.length} skipped`
+        : `${changes.length} slots changed, ${skipped.length} skipped`,
+      operation,
+      dryRun: !!dryRun,
+      changed: changes.map((change) => ({
+        slotId: change.slot._id,
+        before: change.before,
+        after: change.after,
+      })),
+      skipped,
+    });
+  } catch (err) {
+    console.error("Error running bulk slot operation:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 // Helper function to schedule reminder emails
 async function scheduleReminderEmail(interviewId) {
   try {
@@ -0,0 +1,125 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { getActiveInterviewType, getInvalidTypeMessage } = require('../utils/interviewTypes');
+const { releaseHold } = require('../utils/slotBooking');
+const { getWaitlistPosition, offerSlotToWaitlist } = require('../utils/waitlist');
+
+// Join the waitlist for an interview type, optionally for one interviewer and date window
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { interviewType, interviewerId, startDate, endDate } = req.body;
+
+    if (!(await getActiveInterviewType(interviewType))) {
+      return res.status(400).json({ message: await getInvalidTypeMessage() });
+    }
+
+    if (interviewerId) {
+      const interviewer = await User.findById(interviewerId);
+      if (!interviewer || interviewer.role !== 'interviewer') {
+        return res.status(404).json({ message: 'Interviewer not found' });
+      }
+    }
+
+    const windowStart = startDate ? new Date(startDate) : undefined;
+    const windowEnd = endDate ? new Date(endDate) : undefined;
+    if ((windowStart && isNaN(windowStart.getTime())) || (windowEnd && isNaN(windowEnd.getTime()))) {
+      return res.status(400).json({ message: 'Invalid date format' });
+    }
+    if (windowEnd && windowEnd <= new Date()) {
+      return res.status(400).json({ message: 'End date must be in the future' });
+    }
+    if (windowStart && windowEnd && windowEnd <= windowStart) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      candidate: req.user.id,
+      interviewType,
+      interviewer: interviewerId || null,
+      windowStart: windowStart || null,
+      windowEnd: windowEnd || null,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'You are already on this waitlist' });
+    }
+
+    const entry = new WaitlistEntry({
+      candidate: req.user.id,
+      interviewer: interviewerId,
+      interviewType,
+      windowStart,
+      windowEnd
+    });
+
+    await entry.save();
+
+    const position = await getWaitlistPosition(entry);
+
+    res.status(201).json({
+      message: 'You have been added to the waitlist',
+      entry,
+      position
+    });
+  } catch (err) {
+    console.error('Error joining waitlist:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get the logged-in candidate's open waitlist entries
+exports.getMyWaitlistEntries = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      candidate: req.user.id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+      .populate('interviewer', 'name email')
+      .populate('offeredSlot', 'startTime endTime interviewType timeZone')
+      .sort({ createdAt: 1 });
+
+    res.json(entries);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Leave the waitlist; an open offer is released and passed to the next candidate
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    if (entry.candidate.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to remove this waitlist entry' });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({ message: `Waitlist entry is already ${entry.status}` });
+    }
+
+    const offeredSlot = entry.status === 'offered' ? entry.offeredSlot : null;
+
+    entry.status = 'cancelled';
+    await entry.save();
+
+    if (offeredSlot) {
+      await releaseHold(offeredSlot, entry.candidate);
+      await offerSlotToWaitlist(offeredSlot);
+    }
+
+    res.json({ message: 'You have been removed from the waitlist', entry });
+  } catch (err) {
+    console.error('Error leaving waitlist:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  // Missing for changes made by scheduled jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  // What happened, e.g. 'interview.cancel' or 'payment.verify'
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['Interview', 'Payment', 'Feedback', 'InterviewSlot', 'User', 'Refund'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Changed fields as { field: { before, after } }
+  changes: {
+    type: Object,
+    default: {}
+  },
+  ipAddress: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Entries are append-only: existing entries can never be changed or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+for (const operation of [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+]) {
+  AuditLogSchema.pre(operation, { document: true, query: true }, rejectChange);
+}
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
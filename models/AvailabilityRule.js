@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const AvailabilityRuleSchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  interviewType: {
+    type: String,
+    required: true
+  },
+  // Days of the week the rule applies to (0 = Sunday ... 6 = Saturday)
+  daysOfWeek: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (days) => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Days of week must be integers between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  // Local wall-clock window in HH:mm, interpreted in the rule's timezone
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  timeZone: {
+    type: String,
+    default: 'Asia/Kolkata' // Default to IST
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Local dates (yyyy-MM-dd) on which no slots should be generated
+  excludedDates: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastMaterializedAt: {
+    type: Date
+  },
+  // Slots have been generated up to this time. Later runs only add occurrences after
+  // it, so slots the interviewer deleted are not generated again.
+  materializedUntil: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('AvailabilityRule', AvailabilityRuleSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const BlackoutSchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Slots starting in [startDate, endDate) cannot be booked
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BlackoutSchema.index({ interviewer: 1, endDate: 1 });
+
+module.exports = mongoose.model('Blackout', BlackoutSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const CouponSchema = new mongoose.Schema({
+  // Codes are stored upper-case and matched case-insensitively
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent off for 'percentage' coupons, INR off for 'fixed' coupons
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Interview types the coupon applies to; empty means all types
+  interviewTypes: {
+    type: [String],
+    default: []
+  },
+  // Total redemptions allowed across all users; null means unlimited
+  maxUses: {
+    type: Number,
+    default: null
+  },
+  maxUsesPerUser: {
+    type: Number,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Only for candidates who have not booked an interview before
+  firstInterviewOnly: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Coupon', CouponSchema);
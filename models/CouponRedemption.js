@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by a user, recorded when the booking it pays for goes through.
+// The unique indexes enforce the per-user limits even when bookings run concurrently.
+const CouponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  // Which of the user's allowed uses this is, from 0 to maxUsesPerUser - 1
+  sequence: {
+    type: Number,
+    required: true
+  },
+  firstInterviewOnly: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1, sequence: 1 }, { unique: true });
+
+// A user can only redeem one first-interview coupon, whichever coupon it is
+CouponRedemptionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { firstInterviewOnly: true } }
+);
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
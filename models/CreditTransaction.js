@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One entry in a user's credit ledger. Entries are never changed; the running
+// balance is kept on User.creditBalance.
+const CreditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Balance right after this entry was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['cancellation', 'admin-grant', 'booking', 'booking-reversal'],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Admin who granted the credit
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CreditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditTransaction', CreditTransactionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getInterviewType } = require('../utils/interviewTypes');
 
 const InterviewSchema = new mongoose.Schema({
   candidate: {
@@ -17,7 +18,6 @@ const InterviewSchema = new mongoose.Schema({
   },
   interviewType: {
     type: String,
-    enum: ['DSA', 'System Design'],
     required: true
   },
   scheduledDate: {
@@ -38,7 +38,15 @@ const InterviewSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
+    enum: [
+      'scheduled',
+      'in-progress',
+      'completed',
+      'cancelled',
+      'no-show-candidate',
+      'no-show-interviewer',
+      'needs-review'
+    ],
     default: 'scheduled'
   },
   meetingLink: {
@@ -58,10 +66,118 @@ const InterviewSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   },
+  // Set instead of paymentId when the interview was booked with a package credit
+  packagePurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase'
+  },
   slot: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'InterviewSlot'
   },
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  // Reminder emails already sent, so retries and restarts never repeat one.
+  // scheduledFor ties a send to the interview time, so a reschedule gets fresh reminders.
+  remindersSent: [{
+    recipient: {
+      type: String,
+      enum: ['candidate', 'interviewer', 'admin']
+    },
+    offsetMinutes: Number,
+    scheduledFor: Date,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Participants reporting that the other side did not join
+  noShowReports: [{
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    absentParty: {
+      type: String,
+      enum: ['candidate', 'interviewer']
+    },
+    note: String,
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when an admin resolves a no-show or needs-review interview
+  reviewResolution: {
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    previousStatus: String,
+    note: String,
+    resolvedAt: Date
+  },
+  // iCalendar SEQUENCE, bumped whenever calendar invites need to be updated
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  rescheduleHistory: [{
+    fromSlot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InterviewSlot'
+    },
+    toSlot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InterviewSlot'
+    },
+    fromDate: Date,
+    toDate: Date,
+    fromInterviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    toInterviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Every status change, written by utils/interviewStatus
+  statusHistory: [{
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['candidate', 'interviewer', 'admin', 'system']
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -69,13 +185,38 @@ const InterviewSchema = new mongoose.Schema({
 });
 
 // Set duration based on interview type
-InterviewSchema.pre('save', function(next) {
-  if (!this.duration) {
-    if (this.interviewType === 'DSA') {
-      this.duration = 40;
-    } else if (this.interviewType === 'System Design') {
-      this.duration = 50;
+InterviewSchema.pre('save', async function(next) {
+  try {
+    if (!this.duration) {
+      const type = await getInterviewType(this.interviewType);
+      if (type) {
+        this.duration = type.duration;
+      }
     }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start the status history with the status the interview was booked in
+InterviewSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      actor: this.candidate,
+      role: 'candidate',
+      reason: 'Interview booked'
+    });
+  }
+  next();
+});
+
+// Bump the calendar sequence so clients apply updated or cancelled invites
+InterviewSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified(['scheduledDate', 'duration', 'interviewer', 'meetingLink', 'status'])) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
   }
   next();
 });
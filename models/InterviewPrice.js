@@ -3,7 +3,6 @@ const mongoose = require('mongoose');
 const InterviewPriceSchema = new mongoose.Schema({
   interviewType: {
     type: String,
-    enum: ['DSA', 'System Design'],
     required: true,
     unique: true
   },
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { getInterviewType, getDurationError } = require("../utils/interviewTypes");
 
 const InterviewSlotSchema = new mongoose.Schema({
   interviewer: {
@@ -16,9 +17,13 @@ const InterviewSlotSchema = new mongoose.Schema({
   },
   interviewType: {
     type: String,
-    enum: ["DSA", "System Design"],
     required: true,
   },
+  // IANA timezone of the interviewer who created the slot
+  timeZone: {
+    type: String,
+    default: "Asia/Kolkata", // Default to IST
+  },
   isBooked: {
     type: Boolean,
     default: false,
@@ -31,35 +36,53 @@ const InterviewSlotSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
+  // Temporary hold placed while a candidate completes a pre-booking payment
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  holdExpiresAt: {
+    type: Date,
+  },
+  holdPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Payment",
+  },
+  // Set when the slot was generated from a recurring availability rule
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AvailabilityRule",
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
-// Validate slot duration based on interview type
-InterviewSlotSchema.pre("save", function (next) {
-  const duration = (this.endTime - this.startTime) / (1000 * 60); // duration in minutes
+// Validate slot duration based on interview type. Only new slots and changes to the
+// timing or type are checked, so a later change to the type's duration does not stop
+// existing slots from being booked or freed.
+InterviewSlotSchema.pre("save", async function (next) {
+  if (!this.isNew && !this.isModified(["startTime", "endTime", "interviewType"])) {
+    return next();
+  }
 
-  if (this.interviewType === "DSA") {
-    // DSA interviews should be 40 minutes
-    if (Math.abs(duration - 40) > 1) {
-      // Allow 1 minute tolerance
-      const error = new Error("DSA interview slots must be 40 minutes");
-      return next(error);
+  try {
+    const type = await getInterviewType(this.interviewType);
+    if (!type) {
+      return next(new Error(`Unknown interview type: ${this.interviewType}`));
     }
-  } else if (this.interviewType === "System Design") {
-    // System Design interviews should be 50 minutes
-    if (Math.abs(duration - 50) > 1) {
-      // Allow 1 minute tolerance
-      const error = new Error(
-        "System Design interview slots must be 50 minutes"
-      );
-      return next(error);
+
+    // Allow 1 minute tolerance
+    const durationError = getDurationError(type, this.startTime, this.endTime);
+    if (durationError) {
+      return next(new Error(durationError));
     }
-  }
 
-  next();
+    next();
+  } catch (err) {
+    next(err);
+  }
 });
 
 module.exports = mongoose.model("InterviewSlot", InterviewSlotSchema);
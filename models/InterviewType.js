@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const InterviewTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Length of every slot and interview of this type, in minutes
+  duration: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  defaultPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Whether a random problem is assigned when the interview starts
+  autoAssignProblem: {
+    type: Boolean,
+    default: false
+  },
+  // Booking timing rules; unset values fall back to the global defaults
+  minLeadHours: {
+    type: Number,
+    min: 0
+  },
+  maxAdvanceDays: {
+    type: Number,
+    min: 1
+  },
+  bufferMinutes: {
+    type: Number,
+    min: 0
+  },
+  // Shown to candidates in their interview reminders
+  prepTips: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('InterviewType', InterviewTypeSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  // Name of the registered handler that runs this job
+  type: {
+    type: String,
+    required: true
+  },
+  // Optional identity used to replace or skip duplicate jobs, e.g. one reminder per interview
+  key: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Worker currently running the job and when its lease runs out
+  lockedBy: {
+    type: String
+  },
+  lockExpiresAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockExpiresAt: 1 });
+
+module.exports = mongoose.model('Job', JobSchema);
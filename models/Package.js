@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A prepaid bundle of interviews, e.g. 5 DSA + 2 System Design at 20% off
+const PackageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  items: [{
+    interviewType: {
+      type: String,
+      required: true
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Taken off the combined price of the interviews at the time of purchase
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Days the credits can be used for after the payment is verified
+  validityDays: {
+    type: Number,
+    default: 90,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Package', PackageSchema);
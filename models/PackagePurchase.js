@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A candidate's purchase of a package and the interview credits left on it
+const PackagePurchaseSchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  package: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true
+  },
+  // Copied from the package so later edits do not change what was bought
+  name: {
+    type: String,
+    required: true
+  },
+  credits: [{
+    interviewType: {
+      type: String,
+      required: true
+    },
+    total: {
+      type: Number,
+      required: true
+    },
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Discounted price of one interview, used as the booked interview's price
+    unitPrice: {
+      type: Number,
+      required: true
+    }
+  }],
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Credits can only be used once the payment has been verified
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected'],
+    default: 'pending'
+  },
+  activatedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Interviews booked with this package; returnedAt is set when a cancellation gave the credit back
+  usages: [{
+    interview: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Interview'
+    },
+    interviewType: {
+      type: String
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    },
+    returnedAt: {
+      type: Date
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PackagePurchaseSchema.index({ candidate: 1, status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PackagePurchase', PackagePurchaseSchema);
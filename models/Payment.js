@@ -6,6 +6,11 @@ const PaymentSchema = new mongoose.Schema({
     ref: 'Interview',
     required: false // Not required for pre-booking payments
   },
+  // For package payments, the purchase the payment is for
+  packagePurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase'
+  },
   // For pre-booking payments, store the slot ID
   slotId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +22,10 @@ const PaymentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When the slot hold for a pre-booking payment runs out
+  holdExpiresAt: {
+    type: Date
+  },
   paidBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -26,6 +35,27 @@ const PaymentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // How the slot price was worked out: { basePrice, adjustments: [{ rule, name, type, amount }], price }
+  priceBreakdown: {
+    type: Object
+  },
+  // Coupon applied when the payment was created and the discount it gave
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: {
+    type: String
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // Wallet credit used towards the booking; amount is what is left to pay over UPI
+  creditApplied: {
+    type: Number,
+    default: 0
+  },
   currency: {
     type: String,
     default: 'inr'
@@ -50,12 +80,12 @@ const PaymentSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['upi', 'other'],
+    enum: ['upi', 'credit', 'other'],
     default: 'upi'
   },
   status: {
     type: String,
-    enum: ['pending', 'submitted', 'verified', 'rejected', 'refunded'],
+    enum: ['pending', 'submitted', 'verified', 'rejected', 'refunded', 'abandoned'],
     default: 'pending'
   },
   verifiedBy: {
@@ -65,6 +95,13 @@ const PaymentSchema = new mongoose.Schema({
   verifiedAt: {
     type: Date
   },
+  // Set when the interview was cancelled in a way that entitles the candidate to a refund
+  refundRequestedAt: {
+    type: Date
+  },
+  refundReason: {
+    type: String
+  },
   metadata: {
     type: Object
   },
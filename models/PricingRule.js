@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// An adjustment layered on top of the base InterviewPrice
+const PricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // 'interviewer-premium' applies to one interviewer's slots, 'weekend' to Saturday and
+  // Sunday slots, 'peak-hours' to slots starting in a time window and 'early-bird'
+  // (a discount) to bookings made well ahead of the slot
+  type: {
+    type: String,
+    enum: ['interviewer-premium', 'weekend', 'peak-hours', 'early-bird'],
+    required: true
+  },
+  adjustmentType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent or INR of the base price; added for surcharges, taken off for early-bird
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Interview types the rule applies to; empty means all types
+  interviewTypes: {
+    type: [String],
+    default: []
+  },
+  // For 'interviewer-premium' rules
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // For 'peak-hours' rules: local window in HH:mm, in the slot's timezone,
+  // optionally limited to some days (0 = Sunday ... 6 = Saturday)
+  startTime: {
+    type: String,
+    match: TIME_PATTERN
+  },
+  endTime: {
+    type: String,
+    match: TIME_PATTERN
+  },
+  daysOfWeek: {
+    type: [Number],
+    default: []
+  },
+  // For 'early-bird' rules: how many days before the slot the booking must be made
+  minDaysInAdvance: {
+    type: Number,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PricingRule', PricingRuleSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const RefundSchema = new mongoose.Schema({
+  // One refund per payment
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview'
+  },
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Amount owed to the candidate and what they originally paid
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paidAmount: {
+    type: Number,
+    required: true
+  },
+  // Which part of the cancellation policy applied
+  policy: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  method: {
+    type: String,
+    enum: ['upi', 'other'],
+    default: 'upi'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  // Set when an admin pays the refund out
+  upiReference: {
+    type: String
+  },
+  proofUrl: {
+    type: String
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RefundSchema.index({ status: 1, createdAt: 1 });
+RefundSchema.index({ candidate: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -68,6 +68,44 @@ const UserSchema = new mongoose.Schema({
   defaultMeetingLink: {
     type: String,
   },
+  // Booking caps for interviewers; null means no limit
+  maxInterviewsPerDay: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  maxInterviewsPerWeek: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  // Interviewer overrides of the interview type's booking rules; null uses the type's value
+  minLeadHours: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  maxAdvanceDays: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  bufferMinutes: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  // Minutes before an interview to send reminders; null uses the global default
+  reminderOffsets: {
+    type: [Number],
+    default: undefined,
+  },
+  // Wallet credit in INR; every change is recorded in CreditTransaction
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   isEmailVerified: {
     type: Boolean,
     default: false,
@@ -76,6 +114,11 @@ const UserSchema = new mongoose.Schema({
   verificationTokenExpires: Date,
   resetPasswordToken: String,
   resetPasswordExpires: Date,
+  // Secret for the private calendar feed URL; never returned unless selected explicitly
+  calendarToken: {
+    type: String,
+    select: false,
+  },
   workExperiences: [
     {
       company: String,
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Optional: without an interviewer any interviewer's slot matches
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  interviewType: {
+    type: String,
+    required: true
+  },
+  // Optional date window the slot has to fall into
+  windowStart: {
+    type: Date
+  },
+  windowEnd: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'fulfilled', 'cancelled', 'expired'],
+    default: 'waiting'
+  },
+  // Slot currently held for this candidate
+  offeredSlot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterviewSlot'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  // Slots offered earlier and not booked; they are not offered to this entry again
+  passedSlots: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterviewSlot'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WaitlistEntrySchema.index({ status: 1, interviewType: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -28,4 +28,19 @@ router.put('/users/:id/role', adminController.updateUserRole);
 // @access  Admin only
 router.get('/interviews', adminController.getAllInterviews);
 
+// @route   GET /api/admin/interviews/review
+// @desc    Get interviews flagged as possible no-shows
+// @access  Admin only
+router.get('/interviews/review', adminController.getInterviewsForReview);
+
+// @route   PUT /api/admin/interviews/:id/resolve
+// @desc    Resolve a flagged interview to its final status
+// @access  Admin only
+router.put('/interviews/:id/resolve', adminController.resolveInterviewReview);
+
+// @route   GET /api/admin/audit-logs
+// @desc    Query the audit log by entityType, entityId, actor, action and from/to dates
+// @access  Admin only
+router.get('/audit-logs', adminController.getAuditLogs);
+
 module.exports = router;
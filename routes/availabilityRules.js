@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const availabilityRuleController = require('../controllers/availabilityRuleController');
+const auth = require('../middleware/auth');
+const isInterviewer = require('../middleware/isInterviewer');
+
+// @route   GET api/availability-rules
+// @desc    Get the interviewer's recurring availability rules
+// @access  Private (Interviewer only)
+router.get('/', [auth, isInterviewer], availabilityRuleController.getRules);
+
+// @route   POST api/availability-rules
+// @desc    Create a recurring availability rule and generate its slots
+// @access  Private (Interviewer only)
+router.post(
+  '/',
+  [
+    auth,
+    isInterviewer,
+    [
+      check('interviewType', 'Interview type is required').not().isEmpty(),
+      check('daysOfWeek', 'Days of week are required').isArray({ min: 1 }),
+      check('startTime', 'Start time is required').not().isEmpty(),
+      check('endTime', 'End time is required').not().isEmpty()
+    ]
+  ],
+  availabilityRuleController.createRule
+);
+
+// @route   PUT api/availability-rules/:ruleId
+// @desc    Update a rule (applies to future unbooked slots only)
+// @access  Private (Interviewer only)
+router.put('/:ruleId', [auth, isInterviewer], availabilityRuleController.updateRule);
+
+// @route   DELETE api/availability-rules/:ruleId
+// @desc    Delete a rule and its future unbooked slots
+// @access  Private (Interviewer only)
+router.delete('/:ruleId', [auth, isInterviewer], availabilityRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const blackoutController = require('../controllers/blackoutController');
+const auth = require('../middleware/auth');
+const isInterviewer = require('../middleware/isInterviewer');
+
+// @route   GET api/blackouts
+// @desc    Get the interviewer's current and upcoming blackout periods
+// @access  Private (Interviewer only)
+router.get('/', [auth, isInterviewer], blackoutController.getBlackouts);
+
+// @route   POST api/blackouts
+// @desc    Add a blackout period (optionally deleting covered unbooked slots)
+// @access  Private (Interviewer only)
+router.post(
+  '/',
+  [
+    auth,
+    isInterviewer,
+    [
+      check('startDate', 'Start date is required').not().isEmpty(),
+      check('endDate', 'End date is required').not().isEmpty(),
+      check('deleteSlots', 'deleteSlots must be a boolean').optional().isBoolean()
+    ]
+  ],
+  blackoutController.createBlackout
+);
+
+// @route   DELETE api/blackouts/:blackoutId
+// @desc    Remove a blackout period
+// @access  Private (Interviewer only)
+router.delete('/:blackoutId', [auth, isInterviewer], blackoutController.deleteBlackout);
+
+module.exports = router;
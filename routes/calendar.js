@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const auth = require('../middleware/auth');
+
+// @route   GET api/calendar/feed-links
+// @desc    Get the user's private calendar feed URLs (webcal and https)
+// @access  Private
+router.get('/feed-links', auth, calendarController.getFeedLinks);
+
+// @route   POST api/calendar/feed-links/regenerate
+// @desc    Regenerate the calendar feed token
+// @access  Private
+router.post('/feed-links/regenerate', auth, calendarController.regenerateFeedToken);
+
+// @route   GET api/calendar/feed/:token
+// @desc    iCalendar feed of the user's upcoming interviews
+// @access  Public (authenticated by the token in the URL)
+router.get('/feed/:token', calendarController.getFeed);
+
+module.exports = router;
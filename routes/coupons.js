@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const couponController = require('../controllers/couponController');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// @route   POST api/coupons/validate
+// @desc    Preview the discount a coupon code gives on a slot
+// @access  Private
+router.post(
+  '/validate',
+  [
+    auth,
+    [
+      check('code', 'Coupon code is required').trim().not().isEmpty(),
+      check('slotId', 'Slot ID is required').isMongoId()
+    ]
+  ],
+  couponController.validateCoupon
+);
+
+// @route   GET api/coupons
+// @desc    Get active coupons (?includeInactive=true for all)
+// @access  Private (Admin only)
+router.get('/', [auth, admin], couponController.getCoupons);
+
+// @route   POST api/coupons
+// @desc    Create a coupon (admin only)
+// @access  Private (Admin only)
+router.post(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('code', 'Code must be 3-30 letters, numbers, dashes or underscores').trim().matches(/^[A-Za-z0-9_-]{3,30}$/),
+      check('discountType', 'Discount type must be percentage or fixed').isIn(['percentage', 'fixed']),
+      check('discountValue', 'Discount value must be a positive number').isFloat({ min: 0.01 }),
+      check('interviewTypes', 'Interview types must be a list').optional().isArray(),
+      check('maxUses', 'Max uses must be a positive whole number').optional({ nullable: true }).isInt({ min: 1 }),
+      check('maxUsesPerUser', 'Max uses per user must be a positive whole number').optional().isInt({ min: 1 }),
+      check('expiresAt', 'Expiry must be a valid date').optional({ nullable: true }).isISO8601()
+    ]
+  ],
+  couponController.createCoupon
+);
+
+// @route   PUT api/coupons/:id
+// @desc    Update a coupon (admin only)
+// @access  Private (Admin only)
+router.put(
+  '/:id',
+  [
+    auth,
+    admin,
+    [
+      check('discountType', 'Discount type must be percentage or fixed').optional().isIn(['percentage', 'fixed']),
+      check('discountValue', 'Discount value must be a positive number').optional().isFloat({ min: 0.01 }),
+      check('interviewTypes', 'Interview types must be a list').optional().isArray(),
+      check('maxUses', 'Max uses must be a positive whole number').optional({ nullable: true }).isInt({ min: 1 }),
+      check('maxUsesPerUser', 'Max uses per user must be a positive whole number').optional().isInt({ min: 1 }),
+      check('expiresAt', 'Expiry must be a valid date').optional({ nullable: true }).isISO8601()
+    ]
+  ],
+  couponController.updateCoupon
+);
+
+// @route   DELETE api/coupons/:id
+// @desc    Deactivate a coupon (admin only)
+// @access  Private (Admin only)
+router.delete('/:id', [auth, admin], couponController.deactivateCoupon);
+
+module.exports = router;
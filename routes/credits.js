@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const creditController = require('../controllers/creditController');
+const auth = require('../middleware/auth');
+const isAdmin = require('../middleware/isAdmin');
+
+// @route   GET api/credits
+// @desc    Get the current user's credit balance and ledger
+// @access  Private
+router.get('/', auth, creditController.getMyCredits);
+
+// @route   GET api/credits/users/:userId
+// @desc    Get a user's credit balance and ledger
+// @access  Private (Admin only)
+router.get('/users/:userId', [auth, isAdmin], creditController.getUserCredits);
+
+// @route   POST api/credits/users/:userId/grant
+// @desc    Grant credit to a user
+// @access  Private (Admin only)
+router.post(
+  '/users/:userId/grant',
+  [
+    auth,
+    isAdmin,
+    [
+      check('amount', 'Amount must be a positive whole number').isInt({ min: 1 }),
+      check('reason', 'Reason is required').not().isEmpty()
+    ]
+  ],
+  creditController.grantCredit
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const interviewTypeController = require('../controllers/interviewTypeController');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// @route   GET api/interview-types
+// @desc    Get active interview types (?includeInactive=true for all)
+// @access  Public
+router.get('/', interviewTypeController.getAllInterviewTypes);
+
+// @route   POST api/interview-types
+// @desc    Create an interview type (admin only)
+// @access  Private (Admin only)
+router.post(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('name', 'Name is required').trim().not().isEmpty(),
+      check('duration', 'Duration must be a positive number of minutes').isInt({ min: 1 }),
+      check('defaultPrice', 'Default price is required and must be a positive number').isFloat({ min: 0 })
+    ]
+  ],
+  interviewTypeController.createInterviewType
+);
+
+// @route   PUT api/interview-types/:id
+// @desc    Update an interview type (admin only)
+// @access  Private (Admin only)
+router.put(
+  '/:id',
+  [
+    auth,
+    admin,
+    [
+      check('duration', 'Duration must be a positive number of minutes').optional().isInt({ min: 1 }),
+      check('defaultPrice', 'Default price must be a positive number').optional().isFloat({ min: 0 })
+    ]
+  ],
+  interviewTypeController.updateInterviewType
+);
+
+// @route   DELETE api/interview-types/:id
+// @desc    Deactivate an interview type (admin only)
+// @access  Private (Admin only)
+router.delete('/:id', [auth, admin], interviewTypeController.deactivateInterviewType);
+
+module.exports = router;
@@ -35,10 +35,48 @@ router.post(
 router.put('/:id/status', auth, interviewController.updateInterviewStatus);
 
 // @route   PUT api/interviews/:id/cancel
-// @desc    Cancel an interview (for candidates)
+// @desc    Cancel an interview (for candidates); send refundAs 'credit' to take the refund as wallet credit
 // @access  Private
 router.put('/:id/cancel', auth, interviewController.cancelInterview);
 
+// @route   PUT api/interviews/:id/reschedule
+// @desc    Move an interview and its payment to another free slot (for candidates)
+// @access  Private
+router.put(
+  '/:id/reschedule',
+  [
+    auth,
+    [
+      check('slotId', 'Slot ID is required').not().isEmpty()
+    ]
+  ],
+  interviewController.rescheduleInterview
+);
+
+// @route   GET api/interviews/:id/substitutes
+// @desc    Get open slots from other interviewers at the same time
+// @access  Private (assigned interviewer or admin)
+router.get('/:id/substitutes', auth, interviewController.getSubstituteSlots);
+
+// @route   PUT api/interviews/:id/release
+// @desc    Release an interview to a substitute interviewer, or cancel it if none is available
+// @access  Private (assigned interviewer or admin)
+router.put(
+  '/:id/release',
+  [
+    auth,
+    [
+      check('reason', 'Reason is required').not().isEmpty()
+    ]
+  ],
+  interviewController.releaseInterview
+);
+
+// @route   PUT api/interviews/:id/report-no-show
+// @desc    Report that the other participant did not join
+// @access  Private (candidate or interviewer of the interview)
+router.put('/:id/report-no-show', auth, interviewController.reportNoShow);
+
 // @route   PUT api/interviews/:id/meeting
 // @desc    Update meeting details (link and password)
 // @access  Private (interviewer only)
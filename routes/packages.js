@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const packageController = require('../controllers/packageController');
+const paymentController = require('../controllers/paymentController');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const isCandidate = require('../middleware/isCandidate');
+
+// @route   GET api/packages
+// @desc    Get active packages with their current price (?includeInactive=true for all)
+// @access  Public
+router.get('/', packageController.getPackages);
+
+// @route   GET api/packages/my
+// @desc    Get the candidate's packages, remaining credits and usage history
+// @access  Private (Candidate only)
+router.get('/my', [auth, isCandidate], packageController.getMyPackages);
+
+// @route   POST api/packages
+// @desc    Create a package (admin only)
+// @access  Private (Admin only)
+router.post(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('name', 'Name is required').trim().not().isEmpty(),
+      check('items', 'Items must be a list of interview types and counts').isArray({ min: 1 }),
+      check('discountPercent', 'Discount must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+      check('validityDays', 'Validity must be a positive number of days').optional().isInt({ min: 1 })
+    ]
+  ],
+  packageController.createPackage
+);
+
+// @route   PUT api/packages/:id
+// @desc    Update a package (admin only)
+// @access  Private (Admin only)
+router.put(
+  '/:id',
+  [
+    auth,
+    admin,
+    [
+      check('items', 'Items must be a list of interview types and counts').optional().isArray({ min: 1 }),
+      check('discountPercent', 'Discount must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+      check('validityDays', 'Validity must be a positive number of days').optional().isInt({ min: 1 })
+    ]
+  ],
+  packageController.updatePackage
+);
+
+// @route   DELETE api/packages/:id
+// @desc    Deactivate a package (admin only)
+// @access  Private (Admin only)
+router.delete('/:id', [auth, admin], packageController.deactivatePackage);
+
+// @route   POST api/packages/:id/purchase
+// @desc    Start buying a package and get the UPI payment details
+// @access  Private (Candidate only)
+router.post('/:id/purchase', [auth, isCandidate], packageController.purchasePackage);
+
+// @route   POST api/packages/purchases/:purchaseId/submit-payment
+// @desc    Submit the payment proof for a package purchase
+// @access  Private (Candidate only)
+router.post(
+  '/purchases/:purchaseId/submit-payment',
+  auth,
+  isCandidate,
+  paymentController.uploadTransactionScreenshot,
+  [
+    check('transactionId', 'Transaction ID is required').not().isEmpty()
+  ],
+  packageController.submitPackagePayment
+);
+
+module.exports = router;
@@ -17,7 +17,7 @@ router.post(
 );
 
 // @route   POST api/payments/create-prebooking-payment
-// @desc    Create a payment request before booking a slot
+// @desc    Create a payment request before booking a slot; couponCode applies a discount and useCredit applies wallet credit, booking straight away when nothing is left to pay
 // @access  Private (Candidate only)
 router.post(
   '/create-prebooking-payment',
@@ -28,6 +28,18 @@ router.post(
   paymentController.createPreBookingPayment
 );
 
+// @route   POST api/payments/abandon-prebooking-payment
+// @desc    Abandon a pre-booking payment and release the slot hold
+// @access  Private (Candidate only)
+router.post(
+  '/abandon-prebooking-payment',
+  [
+    auth,
+    check('paymentId', 'Payment ID is required').not().isEmpty()
+  ],
+  paymentController.abandonPreBookingPayment
+);
+
 // @route   POST api/payments/upload-qr-code
 // @desc    Upload UPI QR code (for interviewers)
 // @access  Private (Interviewer only)
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const pricingRuleController = require('../controllers/pricingRuleController');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const RULE_TYPES = ['interviewer-premium', 'weekend', 'peak-hours', 'early-bird'];
+
+// @route   GET api/pricing-rules
+// @desc    Get active pricing rules (?includeInactive=true for all)
+// @access  Public
+router.get('/', pricingRuleController.getRules);
+
+// @route   POST api/pricing-rules
+// @desc    Create a pricing rule layered on the base price (admin only)
+// @access  Private (Admin only)
+router.post(
+  '/',
+  [
+    auth,
+    admin,
+    [
+      check('name', 'Name is required').trim().not().isEmpty(),
+      check('type', `Type must be one of: ${RULE_TYPES.join(', ')}`).isIn(RULE_TYPES),
+      check('adjustmentType', 'Adjustment type must be percentage or fixed').isIn(['percentage', 'fixed']),
+      check('value', 'Value must be a positive number').isFloat({ min: 0 }),
+      check('interviewTypes', 'Interview types must be a list').optional().isArray(),
+      check('interviewer', 'Invalid interviewer').optional().isMongoId(),
+      check('daysOfWeek', 'Days of week must be a list').optional().isArray(),
+      check('minDaysInAdvance', 'Days in advance must be a positive whole number').optional().isInt({ min: 1 })
+    ]
+  ],
+  pricingRuleController.createRule
+);
+
+// @route   PUT api/pricing-rules/:id
+// @desc    Update a pricing rule (admin only)
+// @access  Private (Admin only)
+router.put(
+  '/:id',
+  [
+    auth,
+    admin,
+    [
+      check('type', `Type must be one of: ${RULE_TYPES.join(', ')}`).optional().isIn(RULE_TYPES),
+      check('adjustmentType', 'Adjustment type must be percentage or fixed').optional().isIn(['percentage', 'fixed']),
+      check('value', 'Value must be a positive number').optional().isFloat({ min: 0 }),
+      check('interviewTypes', 'Interview types must be a list').optional().isArray(),
+      check('interviewer', 'Invalid interviewer').optional().isMongoId(),
+      check('daysOfWeek', 'Days of week must be a list').optional().isArray(),
+      check('minDaysInAdvance', 'Days in advance must be a positive whole number').optional().isInt({ min: 1 })
+    ]
+  ],
+  pricingRuleController.updateRule
+);
+
+// @route   DELETE api/pricing-rules/:id
+// @desc    Delete a pricing rule (admin only)
+// @access  Private (Admin only)
+router.delete('/:id', [auth, admin], pricingRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const refundController = require('../controllers/refundController');
+const auth = require('../middleware/auth');
+const isAdmin = require('../middleware/isAdmin');
+const isCandidate = require('../middleware/isCandidate');
+
+// @route   GET api/refunds
+// @desc    Get refunds, optionally filtered by status (pending or paid)
+// @access  Private (Admin only)
+router.get('/', [auth, isAdmin], refundController.getRefunds);
+
+// @route   GET api/refunds/my
+// @desc    Get the candidate's refunds
+// @access  Private (Candidate only)
+router.get('/my', [auth, isCandidate], refundController.getMyRefunds);
+
+// @route   PUT api/refunds/:id/mark-paid
+// @desc    Mark a refund as paid with its UPI reference and an optional proof screenshot
+// @access  Private (Admin only)
+router.put(
+  '/:id/mark-paid',
+  auth,
+  isAdmin,
+  refundController.uploadRefundProof,
+  [
+    check('upiReference', 'UPI reference is required').not().isEmpty(),
+    check('method', 'Invalid refund method').optional().isIn(['upi', 'other'])
+  ],
+  refundController.markRefundPaid
+);
+
+module.exports = router;
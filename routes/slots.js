@@ -16,6 +16,26 @@ const isInterviewer = require('../middleware/isInterviewer');
 // @access  Private
 router.get('/available', auth, slotController.getAvailableSlots);
 
+// @route   POST api/slots/search
+// @desc    Search available slots across interviewers by preferred windows, rating and experience
+// @access  Private
+router.post(
+  '/search',
+  [
+    auth,
+    [
+      check('windows', 'Windows must be an array').optional().isArray(),
+      check('startDate', 'Start date must be a yyyy-MM-dd date').optional().isISO8601(),
+      check('endDate', 'End date must be a yyyy-MM-dd date').optional().isISO8601(),
+      check('minRating', 'Minimum rating must be between 0 and 5').optional().isFloat({ min: 0, max: 5 }),
+      check('companies', 'Companies must be an array').optional().isArray(),
+      check('minExperienceYears', 'Minimum experience must be a positive number').optional().isFloat({ min: 0 }),
+      check('limit', 'Limit must be a positive number').optional().isInt({ min: 1 })
+    ]
+  ],
+  slotController.searchSlots
+);
+
 // @route   GET api/slots/interviewer
 // @desc    Get interviewer's slots
 // @access  Private (Interviewer only)
@@ -27,7 +47,7 @@ router.get('/interviewer', [auth, isInterviewer], slotController.getInterviewerS
 router.get('/:slotId', auth, slotController.getSlotById);
 
 // @route   POST api/slots/book/:slotId
-// @desc    Book a slot
+// @desc    Book a slot, using a package credit for its interview type when the candidate has one
 // @access  Private (Candidate only)
 router.post('/book/:slotId', auth, slotController.bookSlot);
 
@@ -73,6 +93,35 @@ router.post(
   slotController.createBatchSlots
 );
 
+// @route   POST api/slots/import
+// @desc    Validate a CSV or JSON schedule file and, with confirm=true, create its slots
+// @access  Private (Interviewer only)
+router.post(
+  '/import',
+  [auth, isInterviewer],
+  slotController.uploadScheduleFile,
+  slotController.importSlots
+);
+
+// @route   POST api/slots/interviewer/bulk
+// @desc    Delete, change type of or shift unbooked slots in a date range (supports dryRun)
+// @access  Private (Interviewer only)
+router.post(
+  '/interviewer/bulk',
+  [
+    auth,
+    isInterviewer,
+    [
+      check('operation', 'Operation must be delete, changeType or shift').isIn(['delete', 'changeType', 'shift']),
+      check('startDate', 'Start date is required').isISO8601(),
+      check('endDate', 'End date is required').isISO8601(),
+      check('minutes', 'Minutes must be a whole number').optional().isInt(),
+      check('dryRun', 'dryRun must be a boolean').optional().isBoolean().toBoolean()
+    ]
+  ],
+  slotController.bulkUpdateInterviewerSlots
+);
+
 // This route has been moved above the /:slotId route
 
 // @route   DELETE api/slots/interviewer/:slotId
@@ -5,6 +5,10 @@ const bcrypt = require('bcryptjs');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const User = require('../models/User');
+const Interview = require('../models/Interview');
+const { validateBookingRuleValues, pickBookingRuleValues } = require('../utils/bookingRules');
+const { validateReminderOffsets } = require('../utils/reminders');
+const { scheduleInterviewReminder } = require('../utils/scheduler');
 
 // @route   GET api/users
 // @desc    Get all users
@@ -93,7 +97,7 @@ router.put(
   ],
   async (req, res) => {
     try {
-      const { name, email, phone, linkedInUrl, workExperiences, education, defaultMeetingLink, currentPassword, newPassword } = req.body;
+      const { name, email, phone, linkedInUrl, workExperiences, education, defaultMeetingLink, maxInterviewsPerDay, maxInterviewsPerWeek, reminderOffsets, currentPassword, newPassword } = req.body;
       
       // Check if email already exists for another user
       const existingUser = await User.findOne({ email });
@@ -106,6 +110,25 @@ router.put(
         return res.status(400).json({ message: 'Please provide a valid LinkedIn profile URL' });
       }
       
+      // Validate booking caps (null clears a cap)
+      for (const cap of [maxInterviewsPerDay, maxInterviewsPerWeek]) {
+        if (cap !== undefined && cap !== null && !(Number.isInteger(cap) && cap >= 1)) {
+          return res.status(400).json({ message: 'Interview caps must be positive whole numbers' });
+        }
+      }
+      
+      // Validate booking rule overrides (null falls back to the interview type's rules)
+      const bookingRuleError = validateBookingRuleValues(req.body);
+      if (bookingRuleError) {
+        return res.status(400).json({ message: bookingRuleError });
+      }
+      
+      // Validate reminder offsets (null restores the default, [] turns reminders off)
+      const reminderOffsetError = validateReminderOffsets(reminderOffsets);
+      if (reminderOffsetError) {
+        return res.status(400).json({ message: reminderOffsetError });
+      }
+      
       // Get the current user with password for verification
       const user = await User.findById(req.user.id);
       if (!user) {
@@ -147,6 +170,22 @@ router.put(
         updateData.defaultMeetingLink = defaultMeetingLink;
       }
       
+      // Add booking caps if provided
+      if (maxInterviewsPerDay !== undefined) {
+        updateData.maxInterviewsPerDay = maxInterviewsPerDay;
+      }
+      if (maxInterviewsPerWeek !== undefined) {
+        updateData.maxInterviewsPerWeek = maxInterviewsPerWeek;
+      }
+      
+      // Add booking rule overrides if provided
+      Object.assign(updateData, pickBookingRuleValues(req.body));
+      
+      // Add reminder offsets if provided
+      if (reminderOffsets !== undefined) {
+        updateData.reminderOffsets = reminderOffsets;
+      }
+      
       // Update user profile data (we're handling password separately above)
       const updatedUser = await User.findByIdAndUpdate(
         req.user.id,
@@ -154,6 +193,19 @@ router.put(
         { new: true }
       ).select('-password');
       
+      // Move the reminders of the user's upcoming interviews to the new offsets
+      if (reminderOffsets !== undefined) {
+        const upcomingInterviews = await Interview.find({
+          $or: [{ candidate: req.user.id }, { interviewer: req.user.id }],
+          status: 'scheduled',
+          scheduledDate: { $gt: new Date() }
+        }).select('_id');
+        
+        for (const interview of upcomingInterviews) {
+          await scheduleInterviewReminder(interview._id);
+        }
+      }
+      
       res.json(updatedUser);
     } catch (err) {
       console.error(err.message);
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const waitlistController = require('../controllers/waitlistController');
+const auth = require('../middleware/auth');
+const isCandidate = require('../middleware/isCandidate');
+
+// @route   GET api/waitlist
+// @desc    Get the candidate's open waitlist entries
+// @access  Private (Candidate only)
+router.get('/', [auth, isCandidate], waitlistController.getMyWaitlistEntries);
+
+// @route   POST api/waitlist
+// @desc    Join the waitlist for an interview type, interviewer and date window
+// @access  Private (Candidate only)
+router.post(
+  '/',
+  [
+    auth,
+    isCandidate,
+    [
+      check('interviewType', 'Interview type is required').not().isEmpty(),
+      check('interviewerId', 'Invalid interviewer').optional().isMongoId()
+    ]
+  ],
+  waitlistController.joinWaitlist
+);
+
+// @route   DELETE api/waitlist/:id
+// @desc    Leave the waitlist
+// @access  Private (Candidate or admin)
+router.delete('/:id', auth, waitlistController.leaveWaitlist);
+
+module.exports = router;
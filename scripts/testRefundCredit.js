@@ -0,0 +1,135 @@
+/**
+ * Test script to verify how cancellations settle payments that were partly paid with
+ * wallet credit: the applied credit always goes back in full, while the UPI part
+ * follows the cancellation policy. Runs without a database: the models issueRefund
+ * touches are replaced by in-memory stand-ins.
+ *
+ * Usage: node scripts/testRefundCredit.js
+ */
+const assert = require('assert');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const AuditLog = require('../models/AuditLog');
+const email = require('../utils/email');
+
+const HOUR = 60 * 60 * 1000;
+
+// Recorded side effects of the current scenario
+let payment = null;
+let credits = [];
+let refunds = [];
+
+const matchesClaim = (doc, filter) =>
+  filter.status.$in.includes(doc.status) &&
+  !doc.refundRequestedAt &&
+  (!filter.$or || filter.$or.some(branch => branch.status
+    ? doc.status === branch.status
+    : (doc.creditApplied || 0) > 0));
+
+Payment.findOneAndUpdate = async (filter, update) => {
+  if (!payment || !matchesClaim(payment, filter)) {
+    return null;
+  }
+  Object.assign(payment, update.$set);
+  return payment;
+};
+User.findByIdAndUpdate = async (userId, update) => ({ _id: userId, creditBalance: update.$inc.creditBalance });
+User.findById = async () => null;
+User.findOne = async () => null;
+CreditTransaction.create = async (entry) => {
+  credits.push(entry.amount);
+  return entry;
+};
+Refund.create = async (fields) => {
+  refunds.push(fields);
+  return { _id: 'refund-1', ...fields };
+};
+AuditLog.create = async () => ({});
+email.sendRefundInitiatedNotification = async () => {};
+
+const loadRefunds = () => {
+  delete require.cache[require.resolve('../utils/refunds')];
+  return require('../utils/refunds');
+};
+
+const startScenario = (fields) => {
+  payment = {
+    _id: 'payment-1',
+    amount: 600,
+    creditApplied: 400,
+    status: 'verified',
+    ...fields,
+    toObject() { return { ...this }; },
+    async save() { return this; }
+  };
+  credits = [];
+  refunds = [];
+};
+
+// An interview two hours away, i.e. a late cancellation, and one two days away
+const lateInterview = { _id: 'interview-1', candidate: 'candidate-1', paymentId: 'payment-1', scheduledDate: new Date(Date.now() + 2 * HOUR) };
+const earlyInterview = { ...lateInterview, scheduledDate: new Date(Date.now() + 48 * HOUR) };
+
+const run = async () => {
+  let { issueRefund } = loadRefunds();
+
+  console.log('Test 1: A late cancellation returns all the credit and part of the UPI payment');
+  startScenario();
+  let result = await issueRefund(lateInterview, { cause: 'candidate', reason: 'Test' });
+  assert.strictEqual(result.credit, 400);
+  assert.deepStrictEqual(credits, [400]);
+  assert.strictEqual(refunds.length, 1);
+  assert.strictEqual(refunds[0].amount, 300);
+  assert.strictEqual(refunds[0].policy, 'partial');
+
+  console.log('Test 2: An early cancellation refunds the UPI payment in full');
+  startScenario();
+  result = await issueRefund(earlyInterview, { cause: 'candidate', reason: 'Test' });
+  assert.deepStrictEqual(credits, [400]);
+  assert.strictEqual(refunds[0].amount, 600);
+
+  console.log('Test 3: A verified payment taken as credit goes back to the wallet in full');
+  startScenario();
+  result = await issueRefund(lateInterview, { cause: 'candidate', reason: 'Test', asCredit: true });
+  assert.deepStrictEqual(credits, [1000]);
+  assert.strictEqual(refunds.length, 0);
+  assert.strictEqual(payment.status, 'refunded');
+
+  console.log('Test 4: An unverified payment taken as credit only returns the applied credit');
+  startScenario({ status: 'submitted' });
+  result = await issueRefund(lateInterview, { cause: 'candidate', reason: 'Test', asCredit: true });
+  assert.deepStrictEqual(credits, [400]);
+  assert.strictEqual(refunds[0].amount, 300);
+
+  console.log('Test 5: A payment is only settled once');
+  result = await issueRefund(lateInterview, { cause: 'candidate', reason: 'Test' });
+  assert.strictEqual(result, null);
+  assert.deepStrictEqual(credits, [400]);
+
+  // Without partial refunds, late cancellations refund no UPI money at all
+  process.env.LATE_CANCELLATION_REFUND_PERCENT = '0';
+  ({ issueRefund } = loadRefunds());
+
+  console.log('Test 6: Without partial refunds the applied credit still goes back in full');
+  startScenario();
+  result = await issueRefund(lateInterview, { cause: 'candidate', reason: 'Test' });
+  assert.strictEqual(result.credit, 400);
+  assert.deepStrictEqual(credits, [400]);
+  assert.strictEqual(refunds.length, 0);
+  assert.strictEqual(payment.status, 'refunded');
+
+  console.log('Test 7: Without partial refunds a payment without credit is left alone');
+  startScenario({ creditApplied: 0 });
+  result = await issueRefund(lateInterview, { cause: 'candidate', reason: 'Test' });
+  assert.strictEqual(result, null);
+  assert.strictEqual(payment.refundRequestedAt, undefined);
+
+  console.log('All refund credit tests passed');
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
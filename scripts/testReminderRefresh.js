@@ -0,0 +1,165 @@
+/**
+ * Test script to verify that refreshing an interview's reminders at the moment one
+ * falls due does not drop it, while reminders that are no longer wanted are cancelled.
+ * Runs without a database: the Job and Interview models are replaced by an in-memory store.
+ *
+ * Usage: node scripts/testReminderRefresh.js
+ */
+const assert = require('assert');
+const Job = require('../models/Job');
+const Interview = require('../models/Interview');
+const { registerJobHandler, processDueJobs } = require('../utils/jobQueue');
+const { scheduleInterviewReminder } = require('../utils/scheduler');
+
+const REMINDER_JOB = 'interview-reminder';
+const MINUTE = 60 * 1000;
+
+// In-memory job store with just enough of the MongoDB query language for the job queue
+let jobs = [];
+let nextId = 1;
+
+const getPath = (doc, path) => path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+const same = (a, b) => (a instanceof Date || b instanceof Date
+  ? new Date(a).getTime() === new Date(b).getTime()
+  : a === b);
+
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return condition === null ? value == null : same(value, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some(item => same(value, item));
+      case '$nin': return !operand.some(item => same(value, item));
+      case '$ne': return !same(value, operand);
+      case '$gt': return value != null && value > operand;
+      case '$lte': return value != null && value <= operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) =>
+  field === '$or'
+    ? condition.some(branch => matches(doc, branch))
+    : matchesCondition(getPath(doc, field), condition)
+);
+
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, update.$set || {});
+  Object.keys(update.$unset || {}).forEach(field => delete doc[field]);
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+    doc[field] = (doc[field] || 0) + amount;
+  });
+  return doc;
+};
+
+Job.create = async (fields) => {
+  const job = { _id: nextId++, maxAttempts: 5, ...fields };
+  jobs.push(job);
+  return job;
+};
+
+Job.findOneAndUpdate = async (query, update, options = {}) => {
+  let found = jobs.filter(job => matches(job, query));
+  if (options.sort && options.sort.runAt) {
+    found = found.sort((a, b) => a.runAt - b.runAt);
+  }
+  if (found.length > 0) {
+    return applyUpdate(found[0], update);
+  }
+  if (!options.upsert) {
+    return null;
+  }
+  if (query.key && jobs.some(job => job.key === query.key)) {
+    const error = new Error('E11000 duplicate key');
+    error.code = 11000;
+    throw error;
+  }
+  return await Job.create(applyUpdate({ key: query.key }, update));
+};
+
+Job.updateMany = async (query, update) => {
+  const found = jobs.filter(job => matches(job, query));
+  found.forEach(job => applyUpdate(job, update));
+  return { modifiedCount: found.length };
+};
+
+Job.updateOne = async (query, update) => {
+  const found = jobs.find(job => matches(job, query));
+  if (found) {
+    applyUpdate(found, update);
+  }
+  return { modifiedCount: found ? 1 : 0 };
+};
+
+// An interview starting two hours from now: the two-hour reminders are due right now
+const interviewId = 'interview-1';
+const scheduledDate = new Date(Date.now() + 120 * MINUTE);
+const interview = {
+  _id: interviewId,
+  scheduledDate,
+  candidate: { reminderOffsets: [120, 15] },
+  interviewer: { reminderOffsets: [120] }
+};
+
+Interview.findById = () => {
+  const query = {
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(interview).then(resolve, reject)
+  };
+  return query;
+};
+
+const queueReminder = (recipient, offset, runAt) => jobs.push({
+  _id: nextId++,
+  type: REMINDER_JOB,
+  key: `${REMINDER_JOB}:${interviewId}:${recipient}:${offset}`,
+  payload: { interviewId, recipient, offsetMinutes: offset, scheduledFor: scheduledDate.toISOString() },
+  runAt,
+  status: 'pending',
+  attempts: 0,
+  maxAttempts: 5
+});
+
+const findReminder = (recipient, offset) =>
+  jobs.find(job => job.key === `${REMINDER_JOB}:${interviewId}:${recipient}:${offset}`);
+
+const run = async () => {
+  // Reminders queued earlier; the candidate has since removed their 60 minute offset
+  const dueAt = new Date(scheduledDate.getTime() - 120 * MINUTE - 1);
+  queueReminder('candidate', 120, dueAt);
+  queueReminder('interviewer', 120, dueAt);
+  queueReminder('candidate', 60, new Date(scheduledDate.getTime() - 60 * MINUTE));
+  queueReminder('candidate', 15, new Date(scheduledDate.getTime() - 15 * MINUTE));
+
+  // The hourly refresh runs just as the two-hour reminders fall due
+  await scheduleInterviewReminder(interviewId);
+
+  console.log('Test 1: Due reminders are left pending by the refresh');
+  assert.strictEqual(findReminder('candidate', 120).status, 'pending');
+  assert.strictEqual(findReminder('interviewer', 120).status, 'pending');
+
+  console.log('Test 2: Future reminders that are still wanted stay queued');
+  assert.strictEqual(findReminder('candidate', 15).status, 'pending');
+  assert.strictEqual(findReminder('admin', 15).status, 'pending');
+
+  console.log('Test 3: Future reminders that are no longer wanted are cancelled');
+  assert.strictEqual(findReminder('candidate', 60).status, 'cancelled');
+
+  console.log('Test 4: The due reminders are sent when the queue runs');
+  const sent = [];
+  registerJobHandler(REMINDER_JOB, async (payload) => {
+    sent.push(`${payload.recipient}:${payload.offsetMinutes}`);
+  });
+  await processDueJobs();
+  assert.deepStrictEqual(sent.sort(), ['candidate:120', 'interviewer:120']);
+  assert.strictEqual(findReminder('candidate', 120).status, 'completed');
+
+  console.log('All reminder refresh tests passed');
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -19,9 +19,20 @@ const priceRoutes = require('./routes/prices');
 const interviewRoutes = require('./routes/interviews');
 const ratingRoutes = require('./routes/ratings');
 const dashboardRoutes = require('./routes/dashboard');
+const availabilityRuleRoutes = require('./routes/availabilityRules');
+const interviewTypeRoutes = require('./routes/interviewTypes');
+const waitlistRoutes = require('./routes/waitlist');
+const blackoutRoutes = require('./routes/blackouts');
+const calendarRoutes = require('./routes/calendar');
+const refundRoutes = require('./routes/refunds');
+const creditRoutes = require('./routes/credits');
+const couponRoutes = require('./routes/coupons');
+const packageRoutes = require('./routes/packages');
+const pricingRuleRoutes = require('./routes/pricingRules');
 
 // Import controllers
 const priceController = require('./controllers/priceController');
+const { initializeInterviewTypes } = require('./utils/interviewTypes');
 
 // Load environment variables
 dotenv.config();
@@ -29,6 +40,10 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 
+// Trust the hosting platform's proxy so req.ip is the client address from X-Forwarded-For.
+// TRUST_PROXY is the number of proxy hops in front of the app (default 1).
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 1);
+
 // Middleware
 app.use(express.json());
 app.use(cookieParser());
@@ -83,14 +98,24 @@ try {
   app.use('/api/interviews', interviewRoutes);
   app.use('/api/ratings', ratingRoutes);
   app.use('/api/dashboard', dashboardRoutes);
+  app.use('/api/availability-rules', availabilityRuleRoutes);
+  app.use('/api/interview-types', interviewTypeRoutes);
+  app.use('/api/waitlist', waitlistRoutes);
+  app.use('/api/blackouts', blackoutRoutes);
+  app.use('/api/calendar', calendarRoutes);
+  app.use('/api/refunds', refundRoutes);
+  app.use('/api/credits', creditRoutes);
+  app.use('/api/coupons', couponRoutes);
+  app.use('/api/packages', packageRoutes);
+  app.use('/api/pricing-rules', pricingRuleRoutes);
 
   // Welcome route
   app.get('/', (req, res) => {
     res.send('Welcome to S30 Mocks API');
   });
 
-  // Initialize default prices
-  priceController.initializePrices();
+  // Initialize default interview types, then their prices
+  initializeInterviewTypes().then(() => priceController.initializePrices());
 
   // Serve static assets in production
   // if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,151 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields recorded in the before/after diff for each entity type.
+// Secrets such as meeting passwords are left out on purpose.
+const AUDITED_FIELDS = {
+  Interview: [
+    'status',
+    'scheduledDate',
+    'duration',
+    'interviewer',
+    'slot',
+    'meetingLink',
+    'problem',
+    'recordingUrl',
+    'paymentId',
+    'packagePurchase',
+    'cancellationReason'
+  ],
+  Payment: [
+    'status',
+    'amount',
+    'interview',
+    'slotId',
+    'transactionId',
+    'transactionScreenshotUrl',
+    'verifiedBy',
+    'priceBreakdown',
+    'couponCode',
+    'discountAmount',
+    'creditApplied',
+    'refundRequestedAt',
+    'refundReason'
+  ],
+  Feedback: [
+    'codingAndDebugging',
+    'communicationScore',
+    'problemSolvingScore',
+    'strengths',
+    'areasOfImprovement',
+    'additionalComments'
+  ],
+  InterviewSlot: ['startTime', 'endTime', 'interviewType', 'isBooked', 'interview'],
+  User: ['role'],
+  Refund: ['status', 'amount', 'policy', 'method', 'upiReference', 'proofUrl', 'processedBy']
+};
+
+// Turn ObjectIds, Dates and nested values into plain JSON values that compare reliably
+const toPlainValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Capture the audited fields of a document before it is changed
+ * @param {String} entityType - One of the AUDITED_FIELDS keys
+ * @param {Object} doc - The document (may be null)
+ * @returns {Object|null} - Plain field values
+ */
+const auditSnapshot = (entityType, doc) => {
+  if (!doc) {
+    return null;
+  }
+  return AUDITED_FIELDS[entityType].reduce((snapshot, field) => {
+    snapshot[field] = toPlainValue(doc[field]);
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Build the { field: { before, after } } diff of two snapshots
+ * @param {Object|null} before - Snapshot before the change (null for creations)
+ * @param {Object|null} after - Snapshot after the change (null for deletions)
+ * @returns {Object}
+ */
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const field of fields) {
+    const previous = before ? before[field] : null;
+    const next = after ? after[field] : null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Get the client IP. Express resolves it from X-Forwarded-For using the 'trust proxy'
+ * setting in server.js, so a client cannot spoof it by sending the header itself.
+ * @param {Object} req - Express request
+ * @returns {String|undefined}
+ */
+const getClientIp = (req) => req.ip;
+
+const buildEntry = (req, action, entityType, { entity, entityId, before = null, after }) => {
+  const afterSnapshot = after !== undefined ? after : auditSnapshot(entityType, entity);
+  return {
+    actor: req && req.user ? req.user.id : undefined,
+    actorRole: req && req.user ? req.user.role : 'system',
+    action,
+    entityType,
+    entityId: entityId || entity._id,
+    changes: diffSnapshots(before, afterSnapshot),
+    ipAddress: req ? getClientIp(req) : undefined
+  };
+};
+
+/**
+ * Append an entry to the audit log. Failures are logged and never break the request.
+ * @param {Object} req - Express request of the actor (null for scheduled jobs)
+ * @param {String} action - e.g. 'interview.cancel'
+ * @param {String} entityType - One of the AUDITED_FIELDS keys
+ * @param {Object} change - { entity, entityId, before, after }; after defaults to a snapshot of
+ *   entity, pass after: null for deletions
+ */
+const recordAudit = async (req, action, entityType, change) => {
+  try {
+    await AuditLog.create(buildEntry(req, action, entityType, change));
+  } catch (error) {
+    console.error(`Error writing audit log entry for ${action}:`, error);
+  }
+};
+
+/**
+ * Append one audit entry per changed entity, e.g. for batch slot operations
+ * @param {Object} req - Express request of the actor
+ * @param {String} action - e.g. 'slot.bulkShift'
+ * @param {String} entityType - One of the AUDITED_FIELDS keys
+ * @param {Array} changes - Array of { entity, entityId, before, after }
+ */
+const recordAuditBatch = async (req, action, entityType, changes) => {
+  if (changes.length === 0) {
+    return;
+  }
+  try {
+    await AuditLog.insertMany(changes.map(change => buildEntry(req, action, entityType, change)));
+  } catch (error) {
+    console.error(`Error writing audit log entries for ${action}:`, error);
+  }
+};
+
+module.exports = {
+  AUDITED_FIELDS,
+  auditSnapshot,
+  diffSnapshots,
+  recordAudit,
+  recordAuditBatch
+};
@@ -0,0 +1,182 @@
+const { DateTime } = require('luxon');
+const AvailabilityRule = require('../models/AvailabilityRule');
+const InterviewSlot = require('../models/InterviewSlot');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { getInterviewType } = require('./interviewTypes');
+const { offerSlotToWaitlist } = require('./waitlist');
+
+// How far ahead (in days) slots are generated from recurring rules
+const HORIZON_DAYS = parseInt(process.env.SLOT_GENERATION_HORIZON_DAYS) || 28;
+
+/**
+ * Get the slot duration in minutes for an interview type
+ * @param {String} interviewType - The interview type name
+ * @returns {Promise<Number|null>} - Duration in minutes, or null for an unknown type
+ */
+const getSlotDuration = async (interviewType) => {
+  const type = await getInterviewType(interviewType);
+  return type ? type.duration : null;
+};
+
+/**
+ * Get the last day a rule generates slots for: its end date or the rolling horizon
+ * @param {Object} rule - The availability rule
+ * @returns {DateTime} - The last day, in the rule's timezone
+ */
+const getLastDay = (rule) => {
+  const zone = rule.timeZone || DEFAULT_TIMEZONE;
+  const ruleEnd = DateTime.fromJSDate(rule.endDate).setZone(zone).endOf('day');
+  const horizonEnd = DateTime.now().setZone(zone).plus({ days: HORIZON_DAYS });
+  return ruleEnd < horizonEnd ? ruleEnd : horizonEnd;
+};
+
+/**
+ * Expand a rule into concrete slot start/end times up to the rolling horizon
+ * @param {Object} rule - The availability rule
+ * @param {Number} duration - Slot duration in minutes for the rule's interview type
+ * @param {Date} after - Only occurrences starting after this time (e.g. materializedUntil)
+ * @returns {Array} - Array of { startTime, endTime } objects in the future
+ */
+const expandRule = (rule, duration, after = null) => {
+  const zone = rule.timeZone || DEFAULT_TIMEZONE;
+  const now = DateTime.now().setZone(zone);
+  const from = after && DateTime.fromJSDate(after).setZone(zone) > now
+    ? DateTime.fromJSDate(after).setZone(zone)
+    : now;
+  const [startHour, startMinute] = rule.startTime.split(':').map(Number);
+  const [endHour, endMinute] = rule.endTime.split(':').map(Number);
+
+  const ruleStart = DateTime.fromJSDate(rule.startDate).setZone(zone).startOf('day');
+  const ruleEnd = DateTime.fromJSDate(rule.endDate).setZone(zone).endOf('day');
+  const lastDay = getLastDay(rule);
+
+  const excluded = new Set(rule.excludedDates || []);
+  const occurrences = [];
+
+  let day = ruleStart > from.startOf('day') ? ruleStart : from.startOf('day');
+  while (day <= lastDay) {
+    // Luxon weekdays are 1 (Monday) to 7 (Sunday); rules use 0 (Sunday) to 6
+    if (rule.daysOfWeek.includes(day.weekday % 7) && !excluded.has(day.toISODate())) {
+      const windowEnd = day.set({ hour: endHour, minute: endMinute });
+      let cursor = day.set({ hour: startHour, minute: startMinute });
+
+      while (cursor.plus({ minutes: duration }) <= windowEnd) {
+        const next = cursor.plus({ minutes: duration });
+        if (cursor > from && next <= ruleEnd) {
+          occurrences.push({ startTime: cursor.toJSDate(), endTime: next.toJSDate() });
+        }
+        cursor = next;
+      }
+    }
+    day = day.plus({ days: 1 });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Create the missing InterviewSlot documents for a rule.
+ * Only occurrences after the rule's materializedUntil are generated, so slots the
+ * interviewer deleted stay deleted. Occurrences that overlap any existing slot of
+ * the interviewer are skipped, so running this repeatedly is safe.
+ * @param {Object} rule - The availability rule
+ * @returns {Promise<Array>} - The newly created slots
+ */
+const materializeRule = async (rule) => {
+  if (!rule.isActive) {
+    return [];
+  }
+
+  const duration = await getSlotDuration(rule.interviewType);
+  if (!duration) {
+    throw new Error(`Unknown interview type: ${rule.interviewType}`);
+  }
+
+  const occurrences = expandRule(rule, duration, rule.materializedUntil);
+  const materializedUntil = getLastDay(rule).endOf('day').toJSDate();
+  if (occurrences.length === 0) {
+    rule.lastMaterializedAt = new Date();
+    if (!rule.materializedUntil || materializedUntil > rule.materializedUntil) {
+      rule.materializedUntil = materializedUntil;
+    }
+    await rule.save();
+    return [];
+  }
+
+  const existingSlots = await InterviewSlot.find({
+    interviewer: rule.interviewer,
+    startTime: { $lt: occurrences[occurrences.length - 1].endTime },
+    endTime: { $gt: occurrences[0].startTime }
+  }).select('startTime endTime');
+
+  const newSlots = occurrences
+    .filter(occurrence => !existingSlots.some(existing =>
+      existing.startTime < occurrence.endTime && existing.endTime > occurrence.startTime
+    ))
+    .map(occurrence => ({
+      interviewer: rule.interviewer,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      interviewType: rule.interviewType,
+      timeZone: rule.timeZone,
+      createdBy: rule.interviewer,
+      rule: rule._id
+    }));
+
+  const createdSlots = newSlots.length > 0 ? await InterviewSlot.insertMany(newSlots) : [];
+
+  for (const slot of createdSlots) {
+    await offerSlotToWaitlist(slot._id);
+  }
+
+  rule.lastMaterializedAt = new Date();
+  rule.materializedUntil = materializedUntil;
+  await rule.save();
+
+  return createdSlots;
+};
+
+/**
+ * Delete the future, unbooked slots generated from a rule.
+ * Booked slots are never touched.
+ * @param {String} ruleId - The ID of the availability rule
+ * @returns {Promise<Number>} - Number of deleted slots
+ */
+const removeFutureUnbookedSlots = async (ruleId) => {
+  const result = await InterviewSlot.deleteMany({
+    rule: ruleId,
+    isBooked: false,
+    startTime: { $gt: new Date() }
+  });
+  return result.deletedCount;
+};
+
+/**
+ * Materialize slots for every active rule that has not expired yet
+ */
+const materializeAllRules = async () => {
+  const rules = await AvailabilityRule.find({
+    isActive: true,
+    endDate: { $gte: DateTime.now().minus({ days: 1 }).toJSDate() }
+  });
+
+  let createdCount = 0;
+  for (const rule of rules) {
+    try {
+      const created = await materializeRule(rule);
+      createdCount += created.length;
+    } catch (error) {
+      console.error(`Error materializing availability rule ${rule._id}:`, error);
+    }
+  }
+
+  console.log(`Materialized ${createdCount} slots from ${rules.length} availability rules`);
+};
+
+module.exports = {
+  getSlotDuration,
+  expandRule,
+  materializeRule,
+  removeFutureUnbookedSlots,
+  materializeAllRules
+};
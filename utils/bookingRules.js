@@ -0,0 +1,72 @@
+// Global fallbacks used when neither the interviewer nor the interview type sets a rule
+const DEFAULT_MIN_LEAD_HOURS = parseInt(process.env.BOOKING_MIN_LEAD_HOURS) || 24;
+const DEFAULT_MAX_ADVANCE_DAYS = parseInt(process.env.BOOKING_MAX_ADVANCE_DAYS) || 60;
+const DEFAULT_BUFFER_MINUTES = parseInt(process.env.BOOKING_BUFFER_MINUTES) || 0;
+
+const RULE_FIELDS = ['minLeadHours', 'maxAdvanceDays', 'bufferMinutes'];
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Resolve the booking timing rules for a slot.
+ * An interviewer's own setting wins over the interview type's, which wins over the global default.
+ * @param {Object} type - The interview type (may be null)
+ * @param {Object} interviewer - The interviewer user (may be null)
+ * @returns {Object} - { minLeadHours, maxAdvanceDays, bufferMinutes }
+ */
+const resolveBookingRules = (type, interviewer) => {
+  const defaults = {
+    minLeadHours: DEFAULT_MIN_LEAD_HOURS,
+    maxAdvanceDays: DEFAULT_MAX_ADVANCE_DAYS,
+    bufferMinutes: DEFAULT_BUFFER_MINUTES
+  };
+
+  return RULE_FIELDS.reduce((rules, field) => {
+    if (interviewer && isSet(interviewer[field])) {
+      rules[field] = interviewer[field];
+    } else if (type && isSet(type[field])) {
+      rules[field] = type[field];
+    } else {
+      rules[field] = defaults[field];
+    }
+    return rules;
+  }, {});
+};
+
+/**
+ * Validate booking rule values from a request body (null clears a value)
+ * @param {Object} values - Object that may contain minLeadHours, maxAdvanceDays and bufferMinutes
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validateBookingRuleValues = (values) => {
+  for (const field of RULE_FIELDS) {
+    const value = values[field];
+    if (isSet(value) && !(Number.isInteger(value) && value >= 0)) {
+      return `${field} must be a whole number of zero or more`;
+    }
+  }
+  if (values.maxAdvanceDays === 0) {
+    return 'maxAdvanceDays must be at least 1';
+  }
+  return null;
+};
+
+/**
+ * Pick the booking rule fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Only the booking rule fields that were sent
+ */
+const pickBookingRuleValues = (body) =>
+  RULE_FIELDS.reduce((values, field) => {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+    return values;
+  }, {});
+
+module.exports = {
+  RULE_FIELDS,
+  resolveBookingRules,
+  validateBookingRuleValues,
+  pickBookingRuleValues
+};
@@ -0,0 +1,156 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Interview = require('../models/Interview');
+
+/**
+ * Work out the discount a coupon gives on a price
+ * @param {Object} coupon - The coupon
+ * @param {Number} price - Price in INR before the discount
+ * @returns {Number} - Discount in INR, never more than the price
+ */
+const calculateDiscount = (coupon, price) => {
+  const discount = coupon.discountType === 'percentage'
+    ? Math.round(price * coupon.discountValue / 100)
+    : coupon.discountValue;
+  return Math.min(discount, price);
+};
+
+// A user has had their first interview once they booked one that was not cancelled,
+// or redeemed a first-interview coupon for a booking
+const hasFirstInterview = async (userId) => {
+  const previousInterview = await Interview.exists({ candidate: userId, status: { $ne: 'cancelled' } });
+  return !!previousInterview || !!(await CouponRedemption.exists({ user: userId, firstInterviewOnly: true }));
+};
+
+/**
+ * Check whether a user can use a coupon for an interview type
+ * @param {Object} coupon - The coupon
+ * @param {Object} context - { userId, interviewType }
+ * @returns {Promise<String|null>} - Error message, or null if the coupon can be used
+ */
+const getCouponError = async (coupon, { userId, interviewType }) => {
+  if (!coupon.isActive) {
+    return 'This coupon is no longer active';
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+    return 'This coupon has expired';
+  }
+  if (coupon.interviewTypes.length > 0 && !coupon.interviewTypes.includes(interviewType)) {
+    return `This coupon cannot be used for ${interviewType} interviews`;
+  }
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    return 'This coupon has reached its usage limit';
+  }
+
+  const userUses = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+  if (userUses >= coupon.maxUsesPerUser) {
+    return 'You have already used this coupon';
+  }
+
+  if (coupon.firstInterviewOnly && await hasFirstInterview(userId)) {
+    return 'This coupon is only valid for your first interview';
+  }
+
+  return null;
+};
+
+/**
+ * Look up a coupon code and work out its discount for a booking
+ * @param {String} code - The code the candidate entered
+ * @param {Object} context - { userId, interviewType, price }
+ * @returns {Promise<Object>} - { coupon, discount } or { error }
+ */
+const applyCoupon = async (code, { userId, interviewType, price }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon) {
+    return { error: 'Invalid coupon code' };
+  }
+
+  const error = await getCouponError(coupon, { userId, interviewType });
+  if (error) {
+    return { error };
+  }
+
+  return { coupon, discount: calculateDiscount(coupon, price) };
+};
+
+/**
+ * Redeem a coupon for a booking. The user's redemption is recorded first: its unique
+ * indexes turn away a use beyond maxUsesPerUser, or a second first-interview coupon,
+ * even when two bookings redeem at the same time. The global limit check and the
+ * increment are then a single update, so the last use cannot be redeemed twice.
+ * @param {String} couponId - The coupon ID
+ * @param {Object} context - { userId, paymentId }
+ * @returns {Promise<String|null>} - Error message, or null if the coupon was redeemed
+ */
+const redeemCoupon = async (couponId, { userId, paymentId }) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    return 'Invalid coupon code';
+  }
+
+  if (coupon.firstInterviewOnly && await hasFirstInterview(userId)) {
+    return 'This coupon is only valid for your first interview';
+  }
+
+  // Take the lowest of the user's uses that is still free
+  const usedSequences = await CouponRedemption.distinct('sequence', { coupon: couponId, user: userId });
+  let sequence = 0;
+  while (usedSequences.includes(sequence)) {
+    sequence += 1;
+  }
+  if (sequence >= coupon.maxUsesPerUser) {
+    return 'You have already used this coupon';
+  }
+
+  try {
+    await CouponRedemption.create({
+      coupon: couponId,
+      user: userId,
+      payment: paymentId,
+      sequence,
+      firstInterviewOnly: coupon.firstInterviewOnly
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return coupon.firstInterviewOnly
+        ? 'This coupon is only valid for your first interview'
+        : 'You have already used this coupon';
+    }
+    throw error;
+  }
+
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (result.modifiedCount === 0) {
+    await CouponRedemption.deleteOne({ payment: paymentId });
+    return 'This coupon has reached its usage limit';
+  }
+
+  return null;
+};
+
+/**
+ * Give back a redemption when the booking it was for did not go through
+ * @param {String} couponId - The coupon ID
+ * @param {String} paymentId - The payment the coupon was redeemed for
+ */
+const releaseCoupon = async (couponId, paymentId) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ coupon: couponId, payment: paymentId });
+  if (redemption) {
+    await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+};
+
+module.exports = {
+  calculateDiscount,
+  getCouponError,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+
+/**
+ * Get a user's current credit balance
+ * @param {String} userId - The user ID
+ * @returns {Promise<Number>}
+ */
+const getCreditBalance = async (userId) => {
+  const user = await User.findById(userId).select('creditBalance');
+  return user ? user.creditBalance || 0 : 0;
+};
+
+/**
+ * Add credit to a user's wallet and record it in the ledger
+ * @param {String} userId - The user ID
+ * @param {Number} amount - Amount in INR (must be positive)
+ * @param {Object} entry - { source, reason, interview, payment, createdBy }
+ * @returns {Promise<Object|null>} - The ledger entry, or null if the user does not exist
+ */
+const addCredit = async (userId, amount, entry) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { creditBalance: amount } },
+    { new: true }
+  );
+  if (!user) {
+    return null;
+  }
+
+  return CreditTransaction.create({
+    ...entry,
+    user: userId,
+    type: 'credit',
+    amount,
+    balanceAfter: user.creditBalance
+  });
+};
+
+/**
+ * Spend credit from a user's wallet. The balance check and the deduction are a single
+ * atomic update, so concurrent bookings cannot spend the same credit twice.
+ * @param {String} userId - The user ID
+ * @param {Number} amount - Amount in INR (must be positive)
+ * @param {Object} entry - { source, reason, interview, payment }
+ * @returns {Promise<Object|null>} - The ledger entry, or null if the balance is too low
+ */
+const useCredit = async (userId, amount, entry) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, creditBalance: { $gte: amount } },
+    { $inc: { creditBalance: -amount } },
+    { new: true }
+  );
+  if (!user) {
+    return null;
+  }
+
+  return CreditTransaction.create({
+    ...entry,
+    user: userId,
+    type: 'debit',
+    amount,
+    balanceAfter: user.creditBalance
+  });
+};
+
+/**
+ * Get a user's ledger, newest first
+ * @param {String} userId - The user ID
+ * @param {Number} limit - Maximum number of entries
+ * @returns {Promise<Array>}
+ */
+const getCreditHistory = (userId, limit = 50) => {
+  return CreditTransaction.find({ user: userId })
+    .populate('interview', 'scheduledDate interviewType')
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = {
+  getCreditBalance,
+  addCredit,
+  useCredit,
+  getCreditHistory
+};
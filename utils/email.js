@@ -14,8 +14,17 @@ const {
   getFeedbackNotificationTemplates,
   getRatingNotificationTemplates,
   getCombinedBookingAndPaymentTemplate,
-  getMeetingLinkUpdateTemplate
+  getMeetingLinkUpdateTemplate,
+  getInterviewRescheduleTemplates,
+  getInterviewerChangeTemplate,
+  getInterviewerCancellationTemplate,
+  getWaitlistSlotOfferTemplate,
+  getNoShowReviewTemplate,
+  getRefundInitiatedTemplate,
+  getRefundPaidTemplate
 } = require("./emailTemplates");
+const { buildInterviewInvite } = require("./ics");
+const { formatReminderLead } = require("./reminders");
 
 // Configure AWS SDK
 AWS.config.update({
@@ -27,15 +36,83 @@ AWS.config.update({
 // Create SES service object
 const ses = new AWS.SES();
 
+/**
+ * Encode a header value that may contain non-ASCII characters (RFC 2047)
+ * @param {String} value - Header value
+ * @returns {String}
+ */
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+/**
+ * Base64 encode content wrapped at 76 characters for MIME bodies
+ * @param {String} content - Content to encode
+ * @returns {String}
+ */
+const toMimeBase64 = (content) =>
+  Buffer.from(content, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+
+/**
+ * Build a raw MIME message with HTML and text bodies plus attachments
+ * @param {Object} message - { from, to, cc, subject, htmlBody, textBody, attachments }
+ * @returns {String} - The raw message
+ */
+const buildRawMessage = ({ from, to, cc, subject, htmlBody, textBody, attachments }) => {
+  const mixedBoundary = `mixed-${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+  const alternativeBoundary = `alt-${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+
+  const lines = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    ...(cc.length > 0 ? [`Cc: ${cc.join(", ")}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+    "",
+    `--${mixedBoundary}`,
+    `Content-Type: multipart/alternative; boundary="${alternativeBoundary}"`,
+    "",
+    `--${alternativeBoundary}`,
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    toMimeBase64(textBody),
+    `--${alternativeBoundary}`,
+    "Content-Type: text/html; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    toMimeBase64(htmlBody),
+    `--${alternativeBoundary}--`,
+  ];
+
+  attachments.forEach((attachment) => {
+    lines.push(
+      `--${mixedBoundary}`,
+      `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+      `Content-Disposition: attachment; filename="${attachment.filename}"`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      toMimeBase64(attachment.content)
+    );
+  });
+
+  lines.push(`--${mixedBoundary}--`, "");
+  return lines.join("\r\n");
+};
+
 /**
  * Send an email using AWS SES
  * @param {String} to - Recipient email address
  * @param {String} subject - Email subject
  * @param {String} htmlBody - HTML content of the email
  * @param {String} textBody - Plain text content of the email
+ * @param {Array} cc - CC addresses
+ * @param {Array} attachments - Optional attachments: { filename, contentType, content }
  * @returns {Promise} - Promise that resolves to the SES response
  */
-const sendEmail = async (to, subject, htmlBody, textBody, cc = []) => {
+const sendEmail = async (to, subject, htmlBody, textBody, cc = [], attachments = []) => {
   // Skip sending emails if AWS credentials are not configured
   if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
     console.log(
@@ -90,7 +167,25 @@ const sendEmail = async (to, subject, htmlBody, textBody, cc = []) => {
   };
 
   try {
-    const result = await ses.sendEmail(params).promise();
+    // Attachments (e.g. calendar invites) need a raw MIME message
+    const result =
+      attachments.length > 0
+        ? await ses
+            .sendRawEmail({
+              RawMessage: {
+                Data: buildRawMessage({
+                  from: verifiedSender,
+                  to: params.Destination.ToAddresses,
+                  cc: params.Destination.CcAddresses,
+                  subject,
+                  htmlBody,
+                  textBody,
+                  attachments,
+                }),
+              },
+            })
+            .promise()
+        : await ses.sendEmail(params).promise();
     console.log("Email sent successfully:", result.MessageId);
     return result;
   } catch (error) {
@@ -194,19 +289,21 @@ const sendFeedbackNotification = async (
 };
 
 /**
- * Send interview reminder emails to all parties
+ * Send an interview reminder email to one party
  * @param {Object} interview - The interview object
  * @param {Object} candidate - The candidate user object
  * @param {Object} interviewer - The interviewer user object
- * @param {String} adminEmail - Admin email address
+ * @param {String} recipient - 'candidate', 'interviewer' or 'admin'
+ * @param {Object} options - { minutesBefore, prepTips, problem, adminEmail }
  */
 const sendInterviewReminder = async (
   interview,
   candidate,
   interviewer,
-  adminEmail
+  recipient,
+  options = {}
 ) => {
-  const subject = `Reminder: Interview in 30 Minutes`;
+  const subject = `Reminder: Interview in ${formatReminderLead(options.minutesBefore || 30)}`;
 
   // Get email templates with proper timezone formatting
   const {
@@ -216,28 +313,30 @@ const sendInterviewReminder = async (
     interviewerTextBody,
     adminHtmlBody,
     adminTextBody
-  } = getInterviewReminderTemplates(interview, candidate, interviewer);
+  } = getInterviewReminderTemplates(interview, candidate, interviewer, options);
 
-  // Send reminder to candidate
-  await sendEmail(
-    candidate.email,
-    subject,
-    candidateHtmlBody,
-    candidateTextBody
-  );
+  if (recipient === "candidate") {
+    return await sendEmail(
+      candidate.email,
+      subject,
+      candidateHtmlBody,
+      candidateTextBody
+    );
+  }
 
-  // Send reminder to interviewer
-  await sendEmail(
-    interviewer.email,
-    subject,
-    interviewerHtmlBody,
-    interviewerTextBody
-  );
+  if (recipient === "interviewer") {
+    return await sendEmail(
+      interviewer.email,
+      subject,
+      interviewerHtmlBody,
+      interviewerTextBody
+    );
+  }
 
   // Send notification to admin if provided
-  if (adminEmail) {
-    await sendEmail(
-      adminEmail,
+  if (recipient === "admin" && options.adminEmail) {
+    return await sendEmail(
+      options.adminEmail,
       `Interview Reminder: ${candidate.name} & ${interviewer.name}`,
       adminHtmlBody,
       adminTextBody
@@ -268,7 +367,8 @@ const sendInterviewBookingNotification = async (
     subject,
     htmlBody,
     textBody,
-    adminEmail ? [adminEmail] : []
+    adminEmail ? [adminEmail] : [],
+    [buildInterviewInvite(interview, candidate, interviewer, "REQUEST")]
   );
 };
 
@@ -295,7 +395,8 @@ const sendInterviewCancellationNotification = async (
     subject,
     htmlBody,
     textBody,
-    adminEmail ? [adminEmail] : []
+    adminEmail ? [adminEmail] : [],
+    [buildInterviewInvite(interview, candidate, interviewer, "CANCEL")]
   );
 };
 
@@ -354,7 +455,8 @@ const sendCombinedBookingAndPaymentNotification = async (
     subject,
     htmlBody,
     textBody,
-    adminEmail ? [adminEmail] : []
+    adminEmail ? [adminEmail] : [],
+    [buildInterviewInvite(interview, candidate, interviewer, "REQUEST")]
   );
 };
 
@@ -382,7 +484,8 @@ const sendInterviewBookingConfirmation = async (
     subject,
     htmlBody,
     textBody,
-    adminEmail
+    adminEmail,
+    [buildInterviewInvite(interview, candidate, interviewer, "REQUEST")]
   );
 };
 
@@ -410,7 +513,8 @@ const sendInterviewCancellationConfirmation = async (
     subject,
     htmlBody,
     textBody,
-    adminEmail
+    adminEmail,
+    [buildInterviewInvite(interview, candidate, interviewer, "CANCEL")]
   );
 };
 
@@ -740,7 +844,194 @@ const sendMeetingLinkUpdateNotification = async (interview, candidate, interview
   const subject = `[S30 Mocks] Meeting Link Updated for Your Interview on ${formatDateWithTimezone(interview.scheduledDate)}`;
   
   // Send to candidate and CC admin
-  return await sendEmail(candidate.email, subject, htmlBody, textBody, [adminEmail]);
+  return await sendEmail(candidate.email, subject, htmlBody, textBody, [adminEmail], [
+    buildInterviewInvite(interview, candidate, interviewer, "REQUEST"),
+  ]);
+};
+
+/**
+ * Send interview reschedule notifications to the candidate and affected interviewers
+ * @param {Object} interview - The rescheduled interview object
+ * @param {Date} previousDate - The interview's previous scheduled date
+ * @param {Object} candidate - The candidate user object
+ * @param {Object} interviewer - The interviewer of the new slot
+ * @param {Object} previousInterviewer - The interviewer of the previous slot
+ * @param {String} adminEmail - Admin email address to CC
+ */
+const sendInterviewRescheduleNotification = async (
+  interview,
+  previousDate,
+  candidate,
+  interviewer,
+  previousInterviewer,
+  adminEmail
+) => {
+  const {
+    candidateHtmlBody,
+    candidateTextBody,
+    interviewerHtmlBody,
+    interviewerTextBody,
+    previousInterviewerHtmlBody,
+    previousInterviewerTextBody
+  } = getInterviewRescheduleTemplates(interview, previousDate, candidate, interviewer, previousInterviewer);
+
+  const cc = adminEmail ? [adminEmail] : [];
+  const invite = buildInterviewInvite(interview, candidate, interviewer, "REQUEST");
+
+  await sendEmail(
+    candidate.email,
+    "Interview Rescheduled",
+    candidateHtmlBody,
+    candidateTextBody,
+    cc,
+    [invite]
+  );
+
+  await sendEmail(
+    interviewer.email,
+    "Interview Rescheduled",
+    interviewerHtmlBody,
+    interviewerTextBody,
+    cc,
+    [invite]
+  );
+
+  // Let the original interviewer know their slot is free again
+  if (previousInterviewer._id.toString() !== interviewer._id.toString()) {
+    await sendEmail(
+      previousInterviewer.email,
+      "Interview Moved to Another Interviewer",
+      previousInterviewerHtmlBody,
+      previousInterviewerTextBody,
+      cc,
+      [buildInterviewInvite(interview, candidate, previousInterviewer, "CANCEL")]
+    );
+  }
+};
+
+/**
+ * Notify the candidate that a substitute interviewer has taken over their interview
+ * @param {Object} interview - The interview object
+ * @param {Object} candidate - The candidate user object
+ * @param {Object} previousInterviewer - The interviewer who released the interview
+ * @param {Object} interviewer - The substitute interviewer
+ * @param {String} adminEmail - Admin email address to CC
+ * @returns {Promise} - Promise that resolves to the SES response
+ */
+const sendInterviewerChangeNotification = async (
+  interview,
+  candidate,
+  previousInterviewer,
+  interviewer,
+  adminEmail
+) => {
+  const subject = "Your Interviewer Has Changed";
+
+  const { htmlBody, textBody } = getInterviewerChangeTemplate(interview, candidate, previousInterviewer, interviewer);
+
+  return await sendEmail(
+    candidate.email,
+    subject,
+    htmlBody,
+    textBody,
+    adminEmail ? [adminEmail] : [],
+    [buildInterviewInvite(interview, candidate, interviewer, "REQUEST")]
+  );
+};
+
+/**
+ * Notify the candidate that their interviewer cancelled and no substitute was found
+ * @param {Object} interview - The interview object
+ * @param {Object} candidate - The candidate user object
+ * @param {Object} interviewer - The interviewer who cancelled
+ * @param {String} adminEmail - Admin email address to CC
+ * @returns {Promise} - Promise that resolves to the SES response
+ */
+const sendInterviewerCancellationNotification = async (
+  interview,
+  candidate,
+  interviewer,
+  adminEmail
+) => {
+  const subject = "Interview Cancelled by Interviewer";
+
+  const { htmlBody, textBody } = getInterviewerCancellationTemplate(interview, candidate, interviewer);
+
+  return await sendEmail(
+    candidate.email,
+    subject,
+    htmlBody,
+    textBody,
+    adminEmail ? [adminEmail] : [],
+    [buildInterviewInvite(interview, candidate, interviewer, "CANCEL")]
+  );
+};
+
+/**
+ * Offer a freed slot to a waitlisted candidate
+ * @param {Object} slot - The held interview slot
+ * @param {Object} candidate - The candidate user object
+ * @param {Object} interviewer - The interviewer user object
+ * @param {Date} holdExpiresAt - When the exclusive hold ends
+ * @returns {Promise} - Promise that resolves to the SES response
+ */
+const sendWaitlistSlotOffer = async (
+  slot,
+  candidate,
+  interviewer,
+  holdExpiresAt
+) => {
+  const subject = "A Mock Interview Slot Is Available for You";
+
+  const { htmlBody, textBody } = getWaitlistSlotOfferTemplate(slot, candidate, interviewer, holdExpiresAt);
+
+  return await sendEmail(candidate.email, subject, htmlBody, textBody);
+};
+
+/**
+ * Tell the admin which interviews were flagged as possible no-shows
+ * @param {Array} interviews - Flagged interviews with candidate and interviewer populated
+ * @param {String} adminEmail - Admin email address
+ * @returns {Promise} - Promise that resolves to the SES response
+ */
+const sendNoShowReviewNotification = async (interviews, adminEmail) => {
+  const subject = `[ADMIN] ${interviews.length} Interview${interviews.length === 1 ? "" : "s"} Need Review`;
+
+  const { htmlBody, textBody } = getNoShowReviewTemplate(interviews);
+
+  return await sendEmail(adminEmail, subject, htmlBody, textBody);
+};
+
+/**
+ * Tell a candidate that a refund has been approved
+ * @param {Object} refund - The refund record
+ * @param {Object} interview - The cancelled interview
+ * @param {Object} candidate - The candidate user object
+ * @param {String} adminEmail - Admin email address (CC'd)
+ * @returns {Promise} - Promise that resolves to the SES response
+ */
+const sendRefundInitiatedNotification = async (refund, interview, candidate, adminEmail) => {
+  const subject = "Your Interview Refund Is Being Processed";
+
+  const { htmlBody, textBody } = getRefundInitiatedTemplate(refund, interview, candidate);
+
+  return await sendEmail(candidate.email, subject, htmlBody, textBody, adminEmail ? [adminEmail] : []);
+};
+
+/**
+ * Tell a candidate that their refund has been paid
+ * @param {Object} refund - The paid refund record
+ * @param {Object} interview - The cancelled interview
+ * @param {Object} candidate - The candidate user object
+ * @param {String} adminEmail - Admin email address (CC'd)
+ * @returns {Promise} - Promise that resolves to the SES response
+ */
+const sendRefundPaidNotification = async (refund, interview, candidate, adminEmail) => {
+  const subject = "Your Interview Refund Has Been Paid";
+
+  const { htmlBody, textBody } = getRefundPaidTemplate(refund, interview, candidate);
+
+  return await sendEmail(candidate.email, subject, htmlBody, textBody, adminEmail ? [adminEmail] : []);
 };
 
 module.exports = {
@@ -759,5 +1050,12 @@ module.exports = {
   sendVerificationSuccessEmail,
   sendPasswordResetEmail,
   sendPromotionalEmail,
-  sendRatingNotification
+  sendRatingNotification,
+  sendInterviewRescheduleNotification,
+  sendInterviewerChangeNotification,
+  sendInterviewerCancellationNotification,
+  sendWaitlistSlotOffer,
+  sendNoShowReviewNotification,
+  sendRefundInitiatedNotification,
+  sendRefundPaidNotification
 };
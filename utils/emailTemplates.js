@@ -2,6 +2,7 @@
  * Email templates with consistent timezone formatting
  */
 const { DateTime } = require("luxon");
+const { formatReminderLead } = require("./reminders");
 
 /**
  * Format date with timezone information
@@ -195,14 +196,39 @@ const getInterviewCancellationNotificationTemplate = (interview, candidate, inte
 
 /**
  * Generate interview reminder email templates
+ * @param {Object} interview - The interview object
+ * @param {Object} candidate - The candidate user object
+ * @param {Object} interviewer - The interviewer user object
+ * @param {Object} options - { minutesBefore, prepTips, problem }
  */
-const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
+const getInterviewReminderTemplates = (interview, candidate, interviewer, options = {}) => {
+  const { minutesBefore = 30, prepTips = [], problem = null } = options;
+  const lead = formatReminderLead(minutesBefore).toLowerCase();
+
+  const prepTipsHtml = prepTips.length > 0 ? `
+    <div style="background-color: #eaf4fb; padding: 15px; border-radius: 5px; margin: 20px 0;">
+      <p><strong>Prep Tips:</strong></p>
+      <ul>
+        ${prepTips.map(tip => `<li>${tip}</li>`).join("")}
+      </ul>
+    </div>` : "";
+  const prepTipsText = prepTips.length > 0
+    ? `\n    Prep Tips:\n${prepTips.map(tip => `    - ${tip}`).join("\n")}\n`
+    : "";
+
+  const problemHtml = problem
+    ? `<p><strong>Assigned Problem:</strong> <a href="${problem.leetcodeUrl}">${problem.title}</a></p>`
+    : `<p><strong>Assigned Problem:</strong> No problem has been assigned yet</p>`;
+  const problemText = problem
+    ? `- Assigned Problem: ${problem.title} (${problem.leetcodeUrl})`
+    : `- Assigned Problem: No problem has been assigned yet`;
+
   const candidateHtmlBody = `
     <h2>Interview Reminder</h2>
     <p>Hello ${candidate.name},</p>
     <p>This is a reminder that your interview with ${
       interviewer.name
-    } is scheduled to begin in 30 minutes.</p>
+    } is scheduled to begin in ${lead}.</p>
     <p>Please ensure you are prepared and ready to join the meeting on time.</p>
     <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
       <p><strong>Interview Details:</strong></p>
@@ -213,7 +239,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
       <p><strong>Meeting Link:</strong> ${
         interview.meetingLink || "Check your dashboard for the meeting link"
       }</p>
-    </div>
+    </div>${prepTipsHtml}
     <p>Good luck with your interview!</p>
     <p>Best regards,<br>S30 Mocks Team</p>
   `;
@@ -223,7 +249,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
     
     Hello ${candidate.name},
     
-    This is a reminder that your interview with ${interviewer.name} is scheduled to begin in 30 minutes.
+    This is a reminder that your interview with ${interviewer.name} is scheduled to begin in ${lead}.
     
     Please ensure you are prepared and ready to join the meeting on time.
     
@@ -233,7 +259,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
     - Time: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
     - Duration: ${interview.duration} minutes
     - Meeting Link: ${interview.meetingLink || "Check your dashboard for the meeting link"}
-    
+    ${prepTipsText}
     Good luck with your interview!
     
     Best regards,
@@ -243,7 +269,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
   const interviewerHtmlBody = `
     <h2>Interview Reminder</h2>
     <p>Hello ${interviewer.name},</p>
-    <p>This is a reminder that you have an interview scheduled to begin in 30 minutes.</p>
+    <p>This is a reminder that you have an interview scheduled to begin in ${lead}.</p>
     <p>Please ensure you are prepared and ready to conduct the interview on time.</p>
     <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
       <p><strong>Interview Details:</strong></p>
@@ -254,6 +280,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
       <p><strong>Meeting Link:</strong> ${
         interview.meetingLink || "Please provide a meeting link to the candidate"
       }</p>
+      ${problemHtml}
     </div>
     <p>Thank you for your contribution to our platform!</p>
     <p>Best regards,<br>S30 Mocks Team</p>
@@ -264,7 +291,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
     
     Hello ${interviewer.name},
     
-    This is a reminder that you have an interview scheduled to begin in 30 minutes.
+    This is a reminder that you have an interview scheduled to begin in ${lead}.
     
     Please ensure you are prepared and ready to conduct the interview on time.
     
@@ -274,6 +301,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
     - Time: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
     - Duration: ${interview.duration} minutes
     - Meeting Link: ${interview.meetingLink || "Please provide a meeting link to the candidate"}
+    ${problemText}
     
     Thank you for your contribution to our platform!
     
@@ -284,7 +312,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
   const adminHtmlBody = `
     <h2>Interview Reminder - Admin Notification</h2>
     <p>Hello Admin,</p>
-    <p>This is a notification that an interview is scheduled to begin in 30 minutes.</p>
+    <p>This is a notification that an interview is scheduled to begin in ${lead}.</p>
     <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
       <p><strong>Interview Details:</strong></p>
       <p><strong>Candidate:</strong> ${candidate.name} (${candidate.email})</p>
@@ -302,7 +330,7 @@ const getInterviewReminderTemplates = (interview, candidate, interviewer) => {
     
     Hello Admin,
     
-    This is a notification that an interview is scheduled to begin in 30 minutes.
+    This is a notification that an interview is scheduled to begin in ${lead}.
     
     Interview Details:
     - Candidate: ${candidate.name} (${candidate.email})
@@ -684,6 +712,419 @@ const getMeetingLinkUpdateTemplate = (interview, candidate, interviewer) => {
   return { htmlBody, textBody };
 };
 
+/**
+ * Generate interview reschedule email templates
+ */
+const getInterviewRescheduleTemplates = (interview, previousDate, candidate, interviewer, previousInterviewer) => {
+  const interviewerChanged = previousInterviewer._id.toString() !== interviewer._id.toString();
+
+  const candidateHtmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4a6ee0;">Interview Rescheduled</h2>
+      <p>Hello ${candidate.name},</p>
+      <p>Your interview has been successfully rescheduled. Here are the updated details:</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Interviewer:</strong> ${interviewer.name}</p>
+        <p><strong>Previous Date:</strong> ${formatDateWithTimezone(previousDate, interview.timeZone)}</p>
+        <p><strong>New Date:</strong> ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}</p>
+        <p><strong>Duration:</strong> ${interview.duration} minutes</p>
+        <p><strong>Meeting Link:</strong> ${interview.meetingLink || "Will be provided by the interviewer"}</p>
+      </div>
+      <p>Your existing payment has been carried over to the new slot.</p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const candidateTextBody = `
+    Interview Rescheduled
+    
+    Hello ${candidate.name},
+    
+    Your interview has been successfully rescheduled. Here are the updated details:
+    
+    Interviewer: ${interviewer.name}
+    Previous Date: ${formatDateWithTimezone(previousDate, interview.timeZone)}
+    New Date: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
+    Duration: ${interview.duration} minutes
+    Meeting Link: ${interview.meetingLink || "Will be provided by the interviewer"}
+    
+    Your existing payment has been carried over to the new slot.
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  const interviewerHtmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4a6ee0;">${interviewerChanged ? "New Interview Booking Notification" : "Interview Rescheduled"}</h2>
+      <p>Hello ${interviewer.name},</p>
+      <p>${interviewerChanged
+        ? "A candidate has rescheduled their interview into one of your slots. Here are the details:"
+        : "A candidate has rescheduled their interview with you. Here are the updated details:"}</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Candidate:</strong> ${candidate.name}</p>
+        <p><strong>Email:</strong> ${candidate.email}</p>
+        ${interviewerChanged ? "" : `<p><strong>Previous Date:</strong> ${formatDateWithTimezone(previousDate, interview.timeZone)}</p>`}
+        <p><strong>Interview Date:</strong> ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}</p>
+        <p><strong>Duration:</strong> ${interview.duration} minutes</p>
+        <p><strong>Meeting Link:</strong> ${interview.meetingLink || "To be provided"}</p>
+      </div>
+      <p>Please log in to your account to view more details and prepare for the interview.</p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const interviewerTextBody = `
+    ${interviewerChanged ? "New Interview Booking Notification" : "Interview Rescheduled"}
+    
+    Hello ${interviewer.name},
+    
+    ${interviewerChanged
+      ? "A candidate has rescheduled their interview into one of your slots. Here are the details:"
+      : "A candidate has rescheduled their interview with you. Here are the updated details:"}
+    
+    Candidate: ${candidate.name}
+    Email: ${candidate.email}
+    ${interviewerChanged ? "" : `Previous Date: ${formatDateWithTimezone(previousDate, interview.timeZone)}`}
+    Date: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
+    Duration: ${interview.duration} minutes
+    Meeting Link: ${interview.meetingLink || "To be provided"}
+    
+    Please log in to your account to view more details and prepare for the interview.
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  const previousInterviewerHtmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #e74c3c;">Interview Moved</h2>
+      <p>Hello ${previousInterviewer.name},</p>
+      <p>The following interview has been rescheduled by the candidate to another interviewer's slot:</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Candidate:</strong> ${candidate.name}</p>
+        <p><strong>Email:</strong> ${candidate.email}</p>
+        <p><strong>Date:</strong> ${formatDateWithTimezone(previousDate, interview.timeZone)}</p>
+        <p><strong>Duration:</strong> ${interview.duration} minutes</p>
+      </div>
+      <p>Your time slot is now available for other bookings.</p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const previousInterviewerTextBody = `
+    Interview Moved
+    
+    Hello ${previousInterviewer.name},
+    
+    The following interview has been rescheduled by the candidate to another interviewer's slot:
+    
+    Candidate: ${candidate.name}
+    Email: ${candidate.email}
+    Date: ${formatDateWithTimezone(previousDate, interview.timeZone)}
+    Duration: ${interview.duration} minutes
+    
+    Your time slot is now available for other bookings.
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  return {
+    candidateHtmlBody,
+    candidateTextBody,
+    interviewerHtmlBody,
+    interviewerTextBody,
+    previousInterviewerHtmlBody,
+    previousInterviewerTextBody
+  };
+};
+
+/**
+ * Generate interviewer change notification email template
+ */
+const getInterviewerChangeTemplate = (interview, candidate, previousInterviewer, interviewer) => {
+  const htmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4a6ee0;">Your Interviewer Has Changed</h2>
+      <p>Hello ${candidate.name},</p>
+      <p>${previousInterviewer.name} is no longer able to conduct your interview, so we have assigned another interviewer at the same time. Here are the updated details:</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>New Interviewer:</strong> ${interviewer.name}</p>
+        <p><strong>Interview Date:</strong> ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}</p>
+        <p><strong>Duration:</strong> ${interview.duration} minutes</p>
+        <p><strong>Meeting Link:</strong> ${interview.meetingLink || "Will be provided by the interviewer"}</p>
+      </div>
+      <p>No action is needed from you. Your payment has been carried over.</p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const textBody = `
+    Your Interviewer Has Changed
+    
+    Hello ${candidate.name},
+    
+    ${previousInterviewer.name} is no longer able to conduct your interview, so we have assigned another interviewer at the same time. Here are the updated details:
+    
+    New Interviewer: ${interviewer.name}
+    Date: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
+    Duration: ${interview.duration} minutes
+    Meeting Link: ${interview.meetingLink || "Will be provided by the interviewer"}
+    
+    No action is needed from you. Your payment has been carried over.
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  return { htmlBody, textBody };
+};
+
+/**
+ * Generate cancellation email template for interviews cancelled by the interviewer
+ */
+const getInterviewerCancellationTemplate = (interview, candidate, interviewer) => {
+  const htmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #e74c3c;">Interview Cancelled by Interviewer</h2>
+      <p>Hello ${candidate.name},</p>
+      <p>We are sorry, but ${interviewer.name} is no longer able to conduct your interview and no other interviewer is available at the same time. Your interview has been cancelled:</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Interviewer:</strong> ${interviewer.name}</p>
+        <p><strong>Date:</strong> ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}</p>
+        <p><strong>Duration:</strong> ${interview.duration} minutes</p>
+      </div>
+      <p>If you have already paid for this interview, our team will process a full refund. You are welcome to book another slot at any time.</p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const textBody = `
+    Interview Cancelled by Interviewer
+    
+    Hello ${candidate.name},
+    
+    We are sorry, but ${interviewer.name} is no longer able to conduct your interview and no other interviewer is available at the same time. Your interview has been cancelled:
+    
+    Interviewer: ${interviewer.name}
+    Date: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
+    Duration: ${interview.duration} minutes
+    
+    If you have already paid for this interview, our team will process a full refund. You are welcome to book another slot at any time.
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  return { htmlBody, textBody };
+};
+
+/**
+ * Email template for a waitlisted candidate who is offered a slot
+ * @param {Object} slot - The held interview slot
+ * @param {Object} candidate - The candidate user object
+ * @param {Object} interviewer - The interviewer user object
+ * @param {Date} holdExpiresAt - When the exclusive hold ends
+ * @returns {Object} - Object containing HTML and text versions of the email
+ */
+const getWaitlistSlotOfferTemplate = (slot, candidate, interviewer, holdExpiresAt) => {
+  const htmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4a6ee0;">A Slot Is Available for You</h2>
+      <p>Hello ${candidate.name},</p>
+      <p>A slot matching your waitlist request has opened up and is being held for you:</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Interviewer:</strong> ${interviewer.name}</p>
+        <p><strong>Interview Type:</strong> ${slot.interviewType}</p>
+        <p><strong>Date:</strong> ${formatDateWithTimezone(slot.startTime, slot.timeZone)}</p>
+        <p><strong>Held Until:</strong> ${formatDateWithTimezone(holdExpiresAt, slot.timeZone)}</p>
+      </div>
+      <p>Only you can book this slot until the hold ends. After that it is offered to the next candidate on the waitlist.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.CLIENT_URL}/slots" style="background-color: #4a6ee0; color: white; padding: 12px 25px; text-decoration: none; border-radius: 4px; font-weight: bold; display: inline-block;">Book This Slot</a>
+      </p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const textBody = `
+    A Slot Is Available for You
+    
+    Hello ${candidate.name},
+    
+    A slot matching your waitlist request has opened up and is being held for you:
+    
+    Interviewer: ${interviewer.name}
+    Interview Type: ${slot.interviewType}
+    Date: ${formatDateWithTimezone(slot.startTime, slot.timeZone)}
+    Held Until: ${formatDateWithTimezone(holdExpiresAt, slot.timeZone)}
+    
+    Only you can book this slot until the hold ends. After that it is offered to the next candidate on the waitlist.
+    
+    Book it here: ${process.env.CLIENT_URL}/slots
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  return { htmlBody, textBody };
+};
+
+/**
+ * Email template for the admin listing interviews flagged as possible no-shows
+ * @param {Array} interviews - Flagged interviews with candidate and interviewer populated
+ * @returns {Object} - Object containing HTML and text versions of the email
+ */
+const getNoShowReviewTemplate = (interviews) => {
+  const statusLabels = {
+    'no-show-candidate': 'Candidate did not join',
+    'no-show-interviewer': 'Interviewer did not join',
+    'needs-review': 'Needs review'
+  };
+
+  const htmlRows = interviews.map(interview => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #ddd;">${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #ddd;">${interview.candidate ? interview.candidate.name : 'Unknown'}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #ddd;">${interview.interviewer ? interview.interviewer.name : 'Unknown'}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #ddd;">${statusLabels[interview.status] || interview.status}</td>
+        </tr>`).join('');
+
+  const textRows = interviews.map(interview =>
+    `    - ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}: ${interview.candidate ? interview.candidate.name : 'Unknown'} with ${interview.interviewer ? interview.interviewer.name : 'Unknown'} (${statusLabels[interview.status] || interview.status})`
+  ).join('\n');
+
+  const htmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #e67e22;">Interviews Need Review (Admin Notification)</h2>
+      <p>Hello Admin,</p>
+      <p>The following interviews ended without being completed and have been flagged for review:</p>
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+        <tr style="background-color: #f5f5f5;">
+          <th style="padding: 8px; text-align: left;">Date</th>
+          <th style="padding: 8px; text-align: left;">Candidate</th>
+          <th style="padding: 8px; text-align: left;">Interviewer</th>
+          <th style="padding: 8px; text-align: left;">Status</th>
+        </tr>${htmlRows}
+      </table>
+      <p>Please resolve them from the admin dashboard.</p>
+      <p>Best regards,<br>S30 Mocks System</p>
+    </div>
+  `;
+
+  const textBody = `
+    Interviews Need Review (Admin Notification)
+    
+    Hello Admin,
+    
+    The following interviews ended without being completed and have been flagged for review:
+    
+${textRows}
+    
+    Please resolve them from the admin dashboard.
+    
+    Best regards,
+    S30 Mocks System
+  `;
+
+  return { htmlBody, textBody };
+};
+
+/**
+ * Email template telling a candidate a refund has been approved
+ * @param {Object} refund - The refund record
+ * @param {Object} interview - The cancelled interview
+ * @param {Object} candidate - The candidate user object
+ * @returns {Object} - Object containing HTML and text versions of the email
+ */
+const getRefundInitiatedTemplate = (refund, interview, candidate) => {
+  const policyNote = refund.policy === 'full'
+    ? 'You will receive a full refund of your payment.'
+    : `As the interview was cancelled close to its start time, a partial refund applies under our cancellation policy.`;
+
+  const htmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4a6ee0;">Your Refund Is Being Processed</h2>
+      <p>Hello ${candidate.name},</p>
+      <p>A refund has been approved for your cancelled interview. ${policyNote}</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Interview Type:</strong> ${interview.interviewType}</p>
+        <p><strong>Date:</strong> ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}</p>
+        <p><strong>Amount Paid:</strong> INR ${refund.paidAmount}</p>
+        <p><strong>Refund Amount:</strong> INR ${refund.amount}</p>
+      </div>
+      <p>Our team will send the refund to your UPI account and email you once it has been paid.</p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const textBody = `
+    Your Refund Is Being Processed
+    
+    Hello ${candidate.name},
+    
+    A refund has been approved for your cancelled interview. ${policyNote}
+    
+    Interview Type: ${interview.interviewType}
+    Date: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
+    Amount Paid: INR ${refund.paidAmount}
+    Refund Amount: INR ${refund.amount}
+    
+    Our team will send the refund to your UPI account and email you once it has been paid.
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  return { htmlBody, textBody };
+};
+
+/**
+ * Email template telling a candidate their refund has been paid
+ * @param {Object} refund - The paid refund record
+ * @param {Object} interview - The cancelled interview
+ * @param {Object} candidate - The candidate user object
+ * @returns {Object} - Object containing HTML and text versions of the email
+ */
+const getRefundPaidTemplate = (refund, interview, candidate) => {
+  const htmlBody = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #27ae60;">Your Refund Has Been Paid</h2>
+      <p>Hello ${candidate.name},</p>
+      <p>We have sent the refund for your cancelled interview:</p>
+      <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+        <p><strong>Interview Type:</strong> ${interview.interviewType}</p>
+        <p><strong>Date:</strong> ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}</p>
+        <p><strong>Refund Amount:</strong> INR ${refund.amount}</p>
+        <p><strong>Reference:</strong> ${refund.upiReference}</p>
+      </div>
+      <p>It may take a little while to appear in your account. If you do not see it within 3 working days, please reply to this email with the reference above.</p>
+      <p>Best regards,<br>S30 Mocks Team</p>
+    </div>
+  `;
+
+  const textBody = `
+    Your Refund Has Been Paid
+    
+    Hello ${candidate.name},
+    
+    We have sent the refund for your cancelled interview:
+    
+    Interview Type: ${interview.interviewType}
+    Date: ${formatDateWithTimezone(interview.scheduledDate, interview.timeZone)}
+    Refund Amount: INR ${refund.amount}
+    Reference: ${refund.upiReference}
+    
+    It may take a little while to appear in your account. If you do not see it within 3 working days, please reply to this email with the reference above.
+    
+    Best regards,
+    S30 Mocks Team
+  `;
+
+  return { htmlBody, textBody };
+};
+
 module.exports = {
   formatDateWithTimezone,
   getInterviewBookingConfirmationTemplate,
@@ -696,5 +1137,12 @@ module.exports = {
   getPaymentVerificationConfirmationTemplate,
   getFeedbackNotificationTemplates,
   getRatingNotificationTemplates,
-  getCombinedBookingAndPaymentTemplate
+  getCombinedBookingAndPaymentTemplate,
+  getInterviewRescheduleTemplates,
+  getInterviewerChangeTemplate,
+  getInterviewerCancellationTemplate,
+  getWaitlistSlotOfferTemplate,
+  getNoShowReviewTemplate,
+  getRefundInitiatedTemplate,
+  getRefundPaidTemplate
 };
@@ -0,0 +1,155 @@
+const { DateTime } = require('luxon');
+
+const PRODUCT_ID = '-//S30 Mocks//Mock Interviews//EN';
+const UID_DOMAIN = 's30mocks.com';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {String} value - Raw text
+ * @returns {String}
+ */
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ * @param {String} line - Unfolded content line
+ * @returns {String}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => DateTime.fromJSDate(new Date(date)).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+/**
+ * Stable UID for an interview so updates and cancellations replace the same event
+ * @param {Object} interview - The interview
+ * @returns {String}
+ */
+const getInterviewUid = (interview) => `interview-${interview._id}@${UID_DOMAIN}`;
+
+/**
+ * Build the VEVENT lines for an interview
+ * @param {Object} interview - The interview
+ * @param {Object} options - { candidate, interviewer, cancelled }
+ * @returns {Array} - Content lines
+ */
+const buildInterviewEvent = (interview, { candidate, interviewer, cancelled = false } = {}) => {
+  const start = new Date(interview.scheduledDate);
+  const end = new Date(start.getTime() + (interview.duration || 0) * 60 * 1000);
+  const organizer = process.env.VERIFIED_EMAIL_SENDER || 'jaspinder@thes30.com';
+
+  const summary = candidate && interviewer
+    ? `${interview.interviewType} Mock Interview: ${candidate.name} with ${interviewer.name}`
+    : `${interview.interviewType} Mock Interview`;
+
+  const description = [
+    `${interview.interviewType} mock interview on S30 Mocks.`,
+    interview.meetingLink ? `Meeting link: ${interview.meetingLink}` : null,
+    process.env.CLIENT_URL ? `Details: ${process.env.CLIENT_URL}/interviews/${interview._id}` : null
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getInterviewUid(interview)}`,
+    `SEQUENCE:${interview.calendarSequence || 0}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`
+  ];
+
+  if (interview.meetingLink) {
+    lines.push(`LOCATION:${escapeText(interview.meetingLink)}`);
+  }
+
+  lines.push(`ORGANIZER;CN=S30 Mocks:mailto:${organizer}`);
+  [candidate, interviewer].filter(person => person && person.email).forEach(person => {
+    lines.push(`ATTENDEE;CN="${String(person.name).replace(/"/g, '')}";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${person.email}`);
+  });
+
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Wrap events in a VCALENDAR and serialize with CRLF line endings
+ * @param {String} method - iTIP method: REQUEST, CANCEL or PUBLISH
+ * @param {Array} eventLines - Content lines of all events
+ * @param {Object} extraProperties - Optional calendar properties, e.g. { 'X-WR-CALNAME': 'S30 Mocks' }
+ * @returns {String}
+ */
+const buildCalendar = (method, eventLines, extraProperties = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...Object.entries(extraProperties).map(([name, value]) => `${name}:${escapeText(value)}`),
+    ...eventLines,
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Build an .ics email attachment for an interview
+ * @param {Object} interview - The interview
+ * @param {Object} candidate - The candidate user object
+ * @param {Object} interviewer - The interviewer user object
+ * @param {String} method - 'REQUEST' for new or updated interviews, 'CANCEL' for cancellations
+ * @returns {Object} - Attachment { filename, contentType, content }
+ */
+const buildInterviewInvite = (interview, candidate, interviewer, method = 'REQUEST') => {
+  const cancelled = method === 'CANCEL';
+  return {
+    filename: cancelled ? 'cancel.ics' : 'invite.ics',
+    contentType: `text/calendar; charset=UTF-8; method=${method}`,
+    content: buildCalendar(method, buildInterviewEvent(interview, { candidate, interviewer, cancelled }))
+  };
+};
+
+/**
+ * Build a subscribable calendar feed
+ * @param {Array} interviews - Interviews with candidate and interviewer populated
+ * @param {String} calendarName - Name shown by calendar clients
+ * @returns {String} - The iCalendar document
+ */
+const buildInterviewFeed = (interviews, calendarName) => {
+  const eventLines = interviews.flatMap(interview =>
+    buildInterviewEvent(interview, {
+      candidate: interview.candidate,
+      interviewer: interview.interviewer,
+      cancelled: interview.status === 'cancelled'
+    })
+  );
+  return buildCalendar('PUBLISH', eventLines, { 'X-WR-CALNAME': calendarName });
+};
+
+module.exports = {
+  buildInterviewInvite,
+  buildInterviewFeed
+};
@@ -0,0 +1,122 @@
+// Roles that can change an interview's status; 'system' is used by scheduled jobs
+const ACTOR_ROLES = ['candidate', 'interviewer', 'admin', 'system'];
+
+// Flagged interviews until an admin resolves them. The interviewer can still
+// complete one, e.g. by submitting feedback for an interview nobody marked as started.
+const REVIEW_TARGETS = {
+  'completed': ['admin', 'interviewer'],
+  'cancelled': ['admin'],
+  'no-show-candidate': ['admin', 'candidate', 'interviewer', 'system'],
+  'no-show-interviewer': ['admin', 'candidate', 'interviewer', 'system'],
+  'needs-review': ['candidate', 'interviewer', 'system']
+};
+
+// Allowed transitions: current status -> next status -> roles that may make the change.
+// Completed and cancelled interviews are final.
+const TRANSITIONS = {
+  'scheduled': {
+    'in-progress': ['interviewer', 'admin'],
+    'completed': ['interviewer', 'admin'],
+    'cancelled': ['candidate', 'interviewer', 'admin'],
+    'no-show-candidate': ['system'],
+    'no-show-interviewer': ['system'],
+    'needs-review': ['system']
+  },
+  // Started but never completed; detection flags these for review too
+  'in-progress': {
+    'completed': ['interviewer', 'admin'],
+    'cancelled': ['admin'],
+    'no-show-candidate': ['system'],
+    'no-show-interviewer': ['system'],
+    'needs-review': ['system']
+  },
+  // Participant reports can change the verdict until an admin resolves it
+  'no-show-candidate': REVIEW_TARGETS,
+  'no-show-interviewer': REVIEW_TARGETS,
+  'needs-review': REVIEW_TARGETS,
+  'completed': {},
+  'cancelled': {}
+};
+
+/**
+ * Work out which role a user acts in for an interview
+ * @param {Object} interview - The interview
+ * @param {Object} user - The authenticated user (req.user)
+ * @returns {String|null} - 'admin', 'interviewer', 'candidate', or null if unrelated
+ */
+const getActorRole = (interview, user) => {
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+  if (interview.interviewer && interview.interviewer.toString() === user.id) {
+    return 'interviewer';
+  }
+  if (interview.candidate && interview.candidate.toString() === user.id) {
+    return 'candidate';
+  }
+  return null;
+};
+
+/**
+ * Check whether a role may move an interview to a status
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @param {String} role - One of ACTOR_ROLES
+ * @returns {String|null} - Error message, or null if the transition is allowed
+ */
+const getTransitionError = (from, to, role) => {
+  if (!TRANSITIONS[to]) {
+    return 'Invalid status';
+  }
+
+  const allowedRoles = (TRANSITIONS[from] || {})[to];
+  if (!allowedRoles) {
+    return `An interview that is ${from} cannot be changed to ${to}`;
+  }
+  if (!allowedRoles.includes(role)) {
+    return `Not authorized to change an interview from ${from} to ${to}`;
+  }
+  return null;
+};
+
+/**
+ * Move an interview to a new status and record the change in its statusHistory.
+ * Setting the current status again is a no-op. The caller saves the interview.
+ * @param {Object} interview - The interview document
+ * @param {String} to - The new status
+ * @param {Object} change - { actor, role, reason }; actor is the user ID (omit for 'system')
+ * @returns {String|null} - Error message, or null if the status was changed
+ */
+const changeInterviewStatus = (interview, to, { actor, role, reason } = {}) => {
+  if (interview.status === to) {
+    return null;
+  }
+
+  if (interview.reviewResolution && interview.reviewResolution.resolvedAt) {
+    return 'This interview has already been reviewed and cannot change status';
+  }
+
+  const error = getTransitionError(interview.status, to, role);
+  if (error) {
+    return error;
+  }
+
+  interview.statusHistory.push({
+    from: interview.status,
+    to,
+    actor,
+    role,
+    reason,
+    changedAt: new Date()
+  });
+  interview.status = to;
+  return null;
+};
+
+module.exports = {
+  ACTOR_ROLES,
+  TRANSITIONS,
+  getActorRole,
+  getTransitionError,
+  changeInterviewStatus
+};
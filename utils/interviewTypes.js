@@ -0,0 +1,128 @@
+const InterviewType = require('../models/InterviewType');
+
+// Interview types change rarely, so they are cached briefly to avoid a query per request
+const CACHE_TTL_MS = 60 * 1000;
+
+// Types created on first start so existing slots and interviews stay valid
+const DEFAULT_INTERVIEW_TYPES = [
+  {
+    name: 'DSA',
+    duration: 40,
+    defaultPrice: 1000,
+    currency: 'INR',
+    autoAssignProblem: true,
+    prepTips: [
+      'Revise arrays, hashing, two pointers, trees and graphs',
+      'Talk through a brute force approach before optimizing',
+      'Have your preferred language and editor ready'
+    ]
+  },
+  {
+    name: 'System Design',
+    duration: 50,
+    defaultPrice: 1500,
+    currency: 'INR',
+    autoAssignProblem: false,
+    prepTips: [
+      'Start by clarifying requirements and estimating scale',
+      'Keep a whiteboard or drawing tool open',
+      'Be ready to discuss trade-offs between storage, caching and consistency options'
+    ]
+  }
+];
+
+let cachedTypes = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Get all interview types
+ * @param {Boolean} includeInactive - Whether to include deactivated types
+ * @returns {Promise<Array>} - Interview type documents
+ */
+const getInterviewTypes = async (includeInactive = false) => {
+  if (!cachedTypes || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    cachedTypes = await InterviewType.find().sort({ name: 1 });
+    cacheLoadedAt = Date.now();
+  }
+  return includeInactive ? cachedTypes : cachedTypes.filter(type => type.isActive);
+};
+
+/**
+ * Find an interview type by name, including deactivated ones
+ * (existing slots and interviews keep working after a type is retired)
+ * @param {String} name - The interview type name
+ * @returns {Promise<Object|null>} - The interview type or null
+ */
+const getInterviewType = async (name) => {
+  const types = await getInterviewTypes(true);
+  return types.find(type => type.name === name) || null;
+};
+
+/**
+ * Find an interview type that can still be used for new slots and bookings
+ * @param {String} name - The interview type name
+ * @returns {Promise<Object|null>} - The active interview type or null
+ */
+const getActiveInterviewType = async (name) => {
+  const type = await getInterviewType(name);
+  return type && type.isActive ? type : null;
+};
+
+/**
+ * Build the validation message listing the active interview types
+ * @returns {Promise<String>}
+ */
+const getInvalidTypeMessage = async () => {
+  const types = await getInterviewTypes();
+  return `Interview type must be one of: ${types.map(type => type.name).join(', ')}`;
+};
+
+/**
+ * Check a slot's length against its interview type (1 minute tolerance)
+ * @param {Object} type - The interview type
+ * @param {Date} start - Slot start time
+ * @param {Date} end - Slot end time
+ * @returns {String|null} - Error message, or null if the duration is valid
+ */
+const getDurationError = (type, start, end) => {
+  const durationMinutes = (end - start) / (1000 * 60);
+  if (Math.abs(durationMinutes - type.duration) > 1) {
+    return `${type.name} interview slots must be ${type.duration} minutes`;
+  }
+  return null;
+};
+
+/**
+ * Drop the cache after interview types are changed
+ */
+const clearInterviewTypeCache = () => {
+  cachedTypes = null;
+};
+
+/**
+ * Create the default interview types if they don't exist
+ */
+const initializeInterviewTypes = async () => {
+  try {
+    for (const defaults of DEFAULT_INTERVIEW_TYPES) {
+      const existing = await InterviewType.findOne({ name: defaults.name });
+      if (!existing) {
+        await new InterviewType(defaults).save();
+        console.log(`Default ${defaults.name} interview type initialized`);
+      }
+    }
+    clearInterviewTypeCache();
+  } catch (err) {
+    console.error('Error initializing interview types:', err);
+  }
+};
+
+module.exports = {
+  getInterviewTypes,
+  getInterviewType,
+  getActiveInterviewType,
+  getInvalidTypeMessage,
+  getDurationError,
+  clearInterviewTypeCache,
+  initializeInterviewTypes
+};
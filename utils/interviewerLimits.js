@@ -0,0 +1,195 @@
+const { DateTime } = require('luxon');
+const Blackout = require('../models/Blackout');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const User = require('../models/User');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { getInterviewTypes } = require('./interviewTypes');
+const { resolveBookingRules } = require('./bookingRules');
+
+// Interviews in these statuses count towards the daily and weekly caps and buffers.
+// Unexpired holds on other slots count towards the caps too, as they are about to be booked,
+// and so do slots claimed by a booking that has not created its interview yet.
+const ACTIVE_STATUSES = ['scheduled', 'in-progress', 'completed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const overlapsBlackout = (slot, blackout) =>
+  slot.startTime < blackout.endDate && slot.endTime > blackout.startDate;
+
+/**
+ * Day and week boundaries of a slot in the interviewer's timezone (weeks start on Monday)
+ * @param {Object} slot - The interview slot
+ * @returns {Object} - { dayStart, dayEnd, weekStart, weekEnd } as JS dates
+ */
+const getPeriods = (slot) => {
+  const start = DateTime.fromJSDate(slot.startTime).setZone(slot.timeZone || DEFAULT_TIMEZONE);
+  return {
+    dayStart: start.startOf('day').toJSDate(),
+    dayEnd: start.endOf('day').toJSDate(),
+    weekStart: start.startOf('week').toJSDate(),
+    weekEnd: start.endOf('week').toJSDate()
+  };
+};
+
+/**
+ * Explain why a slot cannot be booked because of timing rules, blackouts or caps
+ * @param {Object} slot - The interview slot
+ * @param {Object} data - { blackouts, interviewer, interviews, holds, types } preloaded for the slot's interviewer;
+ *   holds are the held slots and the claimed slots that have no interview yet
+ * @param {Object} options - { ignoredInterviewId, requestedAt, skipTimingRules }
+ * @returns {String|null} - Reason, or null if the slot can be booked
+ */
+const getLimitViolation = (slot, { blackouts, interviewer, interviews, holds, types }, options = {}) => {
+  const requestedAt = options.requestedAt || new Date();
+  const type = types.find(candidate => candidate.name === slot.interviewType);
+  const rules = resolveBookingRules(type, interviewer);
+
+  if (!options.skipTimingRules) {
+    if (slot.startTime - requestedAt < rules.minLeadHours * HOUR_MS) {
+      return `Slots must be booked at least ${rules.minLeadHours} hours in advance`;
+    }
+
+    if (slot.startTime - requestedAt > rules.maxAdvanceDays * 24 * HOUR_MS) {
+      return `Slots can be booked at most ${rules.maxAdvanceDays} days in advance`;
+    }
+  }
+
+  if (blackouts.some(blackout => overlapsBlackout(slot, blackout))) {
+    return 'The interviewer is unavailable during this time';
+  }
+
+  const ignoredIds = [slot.interview, options.ignoredInterviewId].filter(Boolean).map(id => id.toString());
+  const counted = interviews.filter(interview => !ignoredIds.includes(interview._id.toString()));
+
+  if (rules.bufferMinutes > 0) {
+    const buffer = rules.bufferMinutes * 60 * 1000;
+    const tooClose = counted.some(interview => {
+      const start = interview.scheduledDate.getTime();
+      const end = start + (interview.duration || 0) * 60 * 1000;
+      return start < slot.endTime.getTime() + buffer && end + buffer > slot.startTime.getTime();
+    });
+    if (tooClose) {
+      return `The interviewer needs at least ${rules.bufferMinutes} minutes between interviews`;
+    }
+  }
+
+  if (!interviewer || (!interviewer.maxInterviewsPerDay && !interviewer.maxInterviewsPerWeek)) {
+    return null;
+  }
+
+  const { dayStart, dayEnd, weekStart, weekEnd } = getPeriods(slot);
+  const otherHolds = holds.filter(held => held._id.toString() !== slot._id.toString());
+  const capped = [
+    ...counted.map(interview => interview.scheduledDate),
+    ...otherHolds.map(held => held.startTime)
+  ];
+
+  if (interviewer.maxInterviewsPerDay) {
+    const dailyCount = capped.filter(date => date >= dayStart && date <= dayEnd).length;
+    if (dailyCount >= interviewer.maxInterviewsPerDay) {
+      return 'The interviewer has reached their maximum number of interviews for this day';
+    }
+  }
+
+  if (interviewer.maxInterviewsPerWeek) {
+    const weeklyCount = capped.filter(date => date >= weekStart && date <= weekEnd).length;
+    if (weeklyCount >= interviewer.maxInterviewsPerWeek) {
+      return 'The interviewer has reached their maximum number of interviews for this week';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load blackouts, caps, booking rules, active interviews and held or claimed slots for the interviewers of the given slots
+ * @param {Array} slots - Interview slots
+ * @returns {Promise<Function>} - Lookup returning the preloaded data for an interviewer ID
+ */
+const loadLimitData = async (slots) => {
+  const interviewerIds = [...new Set(slots.map(slot =>
+    (slot.interviewer._id || slot.interviewer).toString()
+  ))];
+
+  const earliest = new Date(Math.min(...slots.map(slot => slot.startTime.getTime())));
+  const latest = new Date(Math.max(...slots.map(slot => slot.endTime.getTime())));
+  // Widen by a week on each side so whole days and weeks are counted
+  const from = DateTime.fromJSDate(earliest).minus({ days: 8 }).toJSDate();
+  const to = DateTime.fromJSDate(latest).plus({ days: 8 }).toJSDate();
+
+  const [blackouts, interviewers, interviews, holds, types] = await Promise.all([
+    Blackout.find({
+      interviewer: { $in: interviewerIds },
+      startDate: { $lt: latest },
+      endDate: { $gt: earliest }
+    }),
+    User.find({ _id: { $in: interviewerIds } })
+      .select('maxInterviewsPerDay maxInterviewsPerWeek minLeadHours maxAdvanceDays bufferMinutes'),
+    Interview.find({
+      interviewer: { $in: interviewerIds },
+      status: { $in: ACTIVE_STATUSES },
+      scheduledDate: { $gte: from, $lte: to }
+    }).select('interviewer scheduledDate duration slot'),
+    InterviewSlot.find({
+      interviewer: { $in: interviewerIds },
+      startTime: { $gte: from, $lte: to },
+      $or: [
+        { isBooked: false, holdExpiresAt: { $gt: new Date() } },
+        { isBooked: true, interview: null }
+      ]
+    }).select('interviewer startTime'),
+    getInterviewTypes(true)
+  ]);
+
+  // A claimed slot whose interview was saved but not linked yet is already counted as an interview
+  const interviewSlotIds = new Set(interviews.filter(interview => interview.slot).map(interview => interview.slot.toString()));
+  const pending = holds.filter(held => !interviewSlotIds.has(held._id.toString()));
+
+  return (interviewerId) => ({
+    blackouts: blackouts.filter(blackout => blackout.interviewer.toString() === interviewerId),
+    interviewer: interviewers.find(interviewer => interviewer._id.toString() === interviewerId),
+    interviews: interviews.filter(interview => interview.interviewer.toString() === interviewerId),
+    holds: pending.filter(held => held.interviewer.toString() === interviewerId),
+    types
+  });
+};
+
+/**
+ * Remove slots that cannot be booked now: outside the lead time or advance
+ * horizon, too close to another interview, in a blackout, or beyond a cap
+ * @param {Array} slots - Interview slots (interviewer may be populated)
+ * @param {Object} options - Optional { skipTimingRules }: only check blackouts,
+ *   caps and buffers, e.g. for a substitute taking over an interview already booked
+ * @returns {Promise<Array>} - The slots that can still be booked
+ */
+const filterBookableSlots = async (slots, options = {}) => {
+  if (slots.length === 0) {
+    return slots;
+  }
+
+  const lookup = await loadLimitData(slots);
+  return slots.filter(slot =>
+    !getLimitViolation(slot, lookup((slot.interviewer._id || slot.interviewer).toString()), options)
+  );
+};
+
+/**
+ * Check a single slot against all booking rules. Bookings run this again after
+ * claiming the slot: claimed slots count towards the caps, so of two bookings
+ * racing for the interviewer's last place at least one sees the other.
+ * @param {Object} slot - The interview slot
+ * @param {Object} options - Optional { ignoredInterviewId, requestedAt }:
+ *   the interview being moved is not counted, and timing rules are measured
+ *   from requestedAt (e.g. when a payment hold was placed) instead of now
+ * @returns {Promise<String|null>} - Reason the slot cannot be booked, or null
+ */
+const checkSlotLimits = async (slot, options = {}) => {
+  const lookup = await loadLimitData([slot]);
+  return getLimitViolation(slot, lookup((slot.interviewer._id || slot.interviewer).toString()), options);
+};
+
+module.exports = {
+  filterBookableSlots,
+  checkSlotLimits
+};
@@ -0,0 +1,205 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+// Identifies this process as the owner of the jobs it claims
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+// How long a claimed job stays locked; a worker that dies mid-job frees it after this
+const JOB_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+
+// Base delay before a failed job is retried, multiplied by the attempt number
+const JOB_RETRY_DELAY_SECONDS = parseInt(process.env.JOB_RETRY_DELAY_SECONDS) || 60;
+
+// Maximum number of jobs one polling pass runs
+const JOB_BATCH_SIZE = parseInt(process.env.JOB_BATCH_SIZE) || 20;
+
+const handlers = new Map();
+let isProcessing = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {String} type - The job type
+ * @param {Function} handler - Async function receiving (payload, job)
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue.
+ * With a key, a pending or cancelled job with the same key is replaced, so
+ * rescheduling moves the job instead of adding a second one. A job with the
+ * same key and run time that is running or already finished is left alone.
+ * @param {String} type - The job type
+ * @param {Object} payload - Data passed to the handler
+ * @param {Date} runAt - When the job becomes due
+ * @param {Object} options - { key, maxAttempts }
+ * @returns {Promise<Object|null>} - The queued job, or null if it already ran or is running
+ */
+const enqueueJob = async (type, payload, runAt, options = {}) => {
+  const { key, maxAttempts } = options;
+
+  const fields = {
+    type,
+    payload,
+    runAt,
+    status: 'pending',
+    attempts: 0
+  };
+  if (maxAttempts) {
+    fields.maxAttempts = maxAttempts;
+  }
+
+  if (!key) {
+    return await Job.create(fields);
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      {
+        key,
+        $or: [{ status: { $in: ['pending', 'cancelled'] } }, { runAt: { $ne: runAt } }]
+      },
+      {
+        $set: fields,
+        $unset: { lockedBy: 1, lockExpiresAt: 1, lastError: 1, completedAt: 1 }
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The upsert hit the unique key: the same job is running or already ran
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel pending jobs of a type whose payload matches the given fields
+ * @param {String} type - The job type
+ * @param {Object} payloadMatch - Payload fields to match, e.g. { interviewId }
+ * @param {Object} options - Optional { exceptKeys, dueAfter }: keep jobs with these
+ *   keys, and only cancel jobs due after the given time
+ * @returns {Promise<Number>} - Number of cancelled jobs
+ */
+const cancelJobs = async (type, payloadMatch = {}, options = {}) => {
+  const query = { type, status: 'pending' };
+  for (const [field, value] of Object.entries(payloadMatch)) {
+    query[`payload.${field}`] = value;
+  }
+  if (options.exceptKeys) {
+    query.key = { $nin: options.exceptKeys };
+  }
+  if (options.dueAfter) {
+    query.runAt = { $gt: options.dueAfter };
+  }
+
+  const result = await Job.updateMany(query, { $set: { status: 'cancelled' } });
+  return result.modifiedCount;
+};
+
+/**
+ * Atomically claim the next due job this process has a handler for.
+ * Running jobs whose lease has expired are claimed again.
+ * @returns {Promise<Object|null>} - The claimed job, or null if nothing is due
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return await Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockExpiresAt: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        lockExpiresAt: new Date(now.getTime() + JOB_LEASE_SECONDS * 1000)
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+/**
+ * Run a claimed job and record the outcome.
+ * Updates only apply while this worker still owns the job, so a job that was
+ * rescheduled or taken over in the meantime is not overwritten.
+ * @param {Object} job - The claimed job
+ */
+const runJob = async (job) => {
+  const owned = { _id: job._id, lockedBy: WORKER_ID, status: 'running' };
+
+  try {
+    await handlers.get(job.type)(job.payload, job);
+
+    await Job.updateOne(owned, {
+      $set: { status: 'completed', completedAt: new Date() },
+      $unset: { lockedBy: 1, lockExpiresAt: 1 }
+    });
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, error);
+
+    const finalAttempt = job.attempts >= job.maxAttempts;
+    await Job.updateOne(owned, {
+      $set: {
+        status: finalAttempt ? 'failed' : 'pending',
+        runAt: new Date(Date.now() + JOB_RETRY_DELAY_SECONDS * job.attempts * 1000),
+        lastError: error.message
+      },
+      $unset: { lockedBy: 1, lockExpiresAt: 1 }
+    });
+  }
+};
+
+/**
+ * Claim and run due jobs until none are left or the batch size is reached.
+ * Overlapping calls in the same process are skipped.
+ */
+const processDueJobs = async () => {
+  if (isProcessing) {
+    return;
+  }
+  isProcessing = true;
+
+  try {
+    for (let count = 0; count < JOB_BATCH_SIZE; count++) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+      await runJob(job);
+    }
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Delete finished jobs older than the given number of days
+ * @param {Number} days - Age in days
+ * @returns {Promise<Number>} - Number of deleted jobs
+ */
+const purgeFinishedJobs = async (days = 30) => {
+  const result = await Job.deleteMany({
+    status: { $in: ['completed', 'cancelled'] },
+    runAt: { $lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+  });
+  return result.deletedCount;
+};
+
+module.exports = {
+  WORKER_ID,
+  registerJobHandler,
+  enqueueJob,
+  cancelJobs,
+  processDueJobs,
+  purgeFinishedJobs
+};
@@ -0,0 +1,85 @@
+const Interview = require('../models/Interview');
+const User = require('../models/User');
+const { sendNoShowReviewNotification } = require('./email');
+const { changeInterviewStatus } = require('./interviewStatus');
+const { auditSnapshot, recordAudit } = require('./auditLog');
+
+// Minutes after an interview's end before it is treated as a possible no-show
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 30;
+
+// Statuses set by detection that an admin has to resolve
+const REVIEW_STATUSES = ['no-show-candidate', 'no-show-interviewer', 'needs-review'];
+
+/**
+ * Decide the review status from participant reports.
+ * A single, uncontested report decides who missed the interview; anything else needs an admin.
+ * @param {Object} interview - The interview
+ * @returns {String} - One of REVIEW_STATUSES
+ */
+const getNoShowStatus = (interview) => {
+  const absentParties = new Set((interview.noShowReports || []).map(report => report.absentParty));
+  if (absentParties.size === 1) {
+    return absentParties.has('candidate') ? 'no-show-candidate' : 'no-show-interviewer';
+  }
+  return 'needs-review';
+};
+
+/**
+ * Flag interviews that are past their scheduled end without being completed: scheduled
+ * ones that were never started, and in-progress ones that were started but never
+ * completed. Then send the admin a summary.
+ * @returns {Promise<Array>} - The flagged interviews
+ */
+const detectNoShows = async () => {
+  const now = Date.now();
+  const graceMs = NO_SHOW_GRACE_MINUTES * 60 * 1000;
+
+  const candidates = await Interview.find({
+    status: { $in: ['scheduled', 'in-progress'] },
+    scheduledDate: { $lte: new Date(now - graceMs) }
+  })
+    .populate('candidate', 'name email')
+    .populate('interviewer', 'name email');
+
+  const overdue = candidates.filter(interview =>
+    interview.scheduledDate.getTime() + (interview.duration || 0) * 60 * 1000 + graceMs <= now
+  );
+
+  const flagged = [];
+  for (const interview of overdue) {
+    try {
+      const before = auditSnapshot('Interview', interview);
+      changeInterviewStatus(interview, getNoShowStatus(interview), {
+        role: 'system',
+        reason: interview.status === 'in-progress'
+          ? `Not completed within ${NO_SHOW_GRACE_MINUTES} minutes of the scheduled end`
+          : `Not started within ${NO_SHOW_GRACE_MINUTES} minutes of the scheduled end`
+      });
+      await interview.save();
+      await recordAudit(null, 'interview.flagNoShow', 'Interview', { entity: interview, before });
+      flagged.push(interview);
+    } catch (error) {
+      console.error(`Error flagging interview ${interview._id} for review:`, error);
+    }
+  }
+
+  if (flagged.length > 0) {
+    console.log(`Flagged ${flagged.length} interviews as possible no-shows`);
+    try {
+      const admin = await User.findOne({ role: 'admin' });
+      const adminEmail = admin ? admin.email : process.env.ADMIN_EMAIL || 'admin@s30mocks.com';
+      await sendNoShowReviewNotification(flagged, adminEmail);
+    } catch (emailError) {
+      console.error('Error sending no-show review notification:', emailError);
+    }
+  }
+
+  return flagged;
+};
+
+module.exports = {
+  NO_SHOW_GRACE_MINUTES,
+  REVIEW_STATUSES,
+  getNoShowStatus,
+  detectNoShows
+};
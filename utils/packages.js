@@ -0,0 +1,155 @@
+const InterviewPrice = require('../models/InterviewPrice');
+const PackagePurchase = require('../models/PackagePurchase');
+
+/**
+ * Price a package from the current interview prices
+ * @param {Object} pkg - The package
+ * @returns {Promise<Object>} - { price, credits } or { error } if a type has no price
+ */
+const getPackagePricing = async (pkg) => {
+  const credits = [];
+  let price = 0;
+
+  for (const item of pkg.items) {
+    const priceRecord = await InterviewPrice.findOne({ interviewType: item.interviewType });
+    if (!priceRecord) {
+      return { error: `Price for ${item.interviewType} interviews not found` };
+    }
+
+    const unitPrice = Math.round(priceRecord.price * (100 - pkg.discountPercent) / 100);
+    credits.push({
+      interviewType: item.interviewType,
+      total: item.count,
+      remaining: item.count,
+      unitPrice
+    });
+    price += unitPrice * item.count;
+  }
+
+  return { price, credits };
+};
+
+/**
+ * Start a purchase's validity period once its payment is verified
+ * @param {String} purchaseId - The purchase ID
+ * @param {Number} validityDays - Days the credits stay usable
+ * @returns {Promise<Object|null>} - The activated purchase, or null if it was not pending
+ */
+const activatePackagePurchase = async (purchaseId, validityDays) => {
+  const now = new Date();
+  return await PackagePurchase.findOneAndUpdate(
+    { _id: purchaseId, status: 'pending' },
+    {
+      $set: {
+        status: 'active',
+        activatedAt: now,
+        expiresAt: new Date(now.getTime() + validityDays * 24 * 60 * 60 * 1000)
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Take one credit for an interview type from the candidate's active packages,
+ * using the package that expires first
+ * @param {String} candidateId - The candidate's user ID
+ * @param {String} interviewType - The interview type being booked
+ * @returns {Promise<Object|null>} - { purchase, unitPrice }, or null if no credit is left
+ */
+const consumePackageCredit = async (candidateId, interviewType) => {
+  const purchase = await PackagePurchase.findOneAndUpdate(
+    {
+      candidate: candidateId,
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      credits: { $elemMatch: { interviewType, remaining: { $gt: 0 } } }
+    },
+    { $inc: { 'credits.$.remaining': -1 } },
+    { sort: { expiresAt: 1 }, new: true }
+  );
+  if (!purchase) {
+    return null;
+  }
+
+  const credit = purchase.credits.find(item => item.interviewType === interviewType);
+  return { purchase, unitPrice: credit.unitPrice };
+};
+
+/**
+ * Record which interview a consumed credit was used for
+ * @param {String} purchaseId - The purchase ID
+ * @param {Object} interview - The booked interview
+ */
+const recordPackageUsage = async (purchaseId, interview) => {
+  await PackagePurchase.updateOne(
+    { _id: purchaseId },
+    { $push: { usages: { interview: interview._id, interviewType: interview.interviewType } } }
+  );
+};
+
+/**
+ * Give a credit back to a package, e.g. when the booking failed or was cancelled.
+ * A booked interview's credit is only given back once.
+ * @param {String} purchaseId - The purchase ID
+ * @param {String} interviewType - The interview type of the credit
+ * @param {String} interviewId - The interview the credit was used for, if it was booked
+ * @returns {Promise<Boolean>} - Whether a credit was given back
+ */
+const restorePackageCredit = async (purchaseId, interviewType, interviewId = null) => {
+  const filter = { _id: purchaseId };
+  const update = { $inc: { 'credits.$[credit].remaining': 1 } };
+  const arrayFilters = [{ 'credit.interviewType': interviewType }];
+
+  if (interviewId) {
+    filter.usages = { $elemMatch: { interview: interviewId, returnedAt: { $exists: false } } };
+    update.$set = { 'usages.$[usage].returnedAt': new Date() };
+    arrayFilters.push({ 'usage.interview': interviewId, 'usage.returnedAt': { $exists: false } });
+  }
+
+  const result = await PackagePurchase.updateOne(filter, update, { arrayFilters });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Summarise a candidate's packages for the dashboard
+ * @param {String} candidateId - The candidate's user ID
+ * @returns {Promise<Object>} - { remainingCredits, packages }
+ */
+const getPackageSummary = async (candidateId) => {
+  const now = new Date();
+  const purchases = await PackagePurchase.find({ candidate: candidateId })
+    .populate('usages.interview', 'scheduledDate status')
+    .sort({ createdAt: -1 });
+
+  const packages = purchases.map(purchase => {
+    const expired = purchase.status === 'active' && purchase.expiresAt <= now;
+    return {
+      _id: purchase._id,
+      name: purchase.name,
+      status: expired ? 'expired' : purchase.status,
+      price: purchase.price,
+      currency: purchase.currency,
+      activatedAt: purchase.activatedAt,
+      expiresAt: purchase.expiresAt,
+      credits: purchase.credits,
+      usages: purchase.usages,
+      createdAt: purchase.createdAt
+    };
+  });
+
+  const remainingCredits = packages
+    .filter(pkg => pkg.status === 'active')
+    .reduce((total, pkg) => total + pkg.credits.reduce((sum, credit) => sum + credit.remaining, 0), 0);
+
+  return { remainingCredits, packages };
+};
+
+module.exports = {
+  getPackagePricing,
+  activatePackagePurchase,
+  consumePackageCredit,
+  recordPackageUsage,
+  restorePackageCredit,
+  getPackageSummary
+};
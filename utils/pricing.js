@@ -0,0 +1,117 @@
+const { DateTime } = require('luxon');
+const InterviewPrice = require('../models/InterviewPrice');
+const PricingRule = require('../models/PricingRule');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Load what is needed to price slots: base prices by interview type and the active rules.
+ * List endpoints load this once and price every slot from it.
+ * @returns {Promise<Object>} - { basePrices, rules }
+ */
+const loadPricingContext = async () => {
+  const prices = await InterviewPrice.find();
+  const basePrices = {};
+  prices.forEach((price) => {
+    basePrices[price.interviewType] = { price: price.price, currency: price.currency };
+  });
+
+  const rules = await PricingRule.find({ isActive: true }).sort({ createdAt: 1 });
+
+  return { basePrices, rules };
+};
+
+/**
+ * Check whether a rule applies to a slot booked at a given time
+ * @param {Object} rule - The pricing rule
+ * @param {Object} slot - The slot (interviewer may be populated)
+ * @param {Date} bookedAt - When the booking is made
+ * @returns {Boolean}
+ */
+const ruleApplies = (rule, slot, bookedAt) => {
+  if (rule.interviewTypes.length > 0 && !rule.interviewTypes.includes(slot.interviewType)) {
+    return false;
+  }
+
+  const start = DateTime.fromJSDate(slot.startTime).setZone(slot.timeZone || DEFAULT_TIMEZONE);
+  const dayOfWeek = start.weekday % 7;
+
+  switch (rule.type) {
+    case 'interviewer-premium': {
+      const interviewerId = slot.interviewer && slot.interviewer._id ? slot.interviewer._id : slot.interviewer;
+      return !!rule.interviewer && !!interviewerId && rule.interviewer.toString() === interviewerId.toString();
+    }
+    case 'weekend':
+      return dayOfWeek === 0 || dayOfWeek === 6;
+    case 'peak-hours': {
+      if (rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(dayOfWeek)) {
+        return false;
+      }
+      const startMinutes = start.hour * 60 + start.minute;
+      return startMinutes >= toMinutes(rule.startTime) && startMinutes < toMinutes(rule.endTime);
+    }
+    case 'early-bird':
+      return slot.startTime - bookedAt >= rule.minDaysInAdvance * 24 * 60 * 60 * 1000;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Resolve the price of a slot: the base price for its interview type plus every matching
+ * rule. Each adjustment is worked out on the base price, so rules do not compound, and
+ * the final price never drops below zero.
+ * @param {Object} slot - The slot
+ * @param {Object} context - From loadPricingContext
+ * @param {Date} bookedAt - When the booking is made (for early-bird rules)
+ * @returns {Object|null} - { basePrice, adjustments, price, currency }, or null if the type has no price
+ */
+const resolveSlotPrice = (slot, { basePrices, rules }, bookedAt = new Date()) => {
+  const base = basePrices[slot.interviewType];
+  if (!base) {
+    return null;
+  }
+
+  const adjustments = rules
+    .filter(rule => ruleApplies(rule, slot, bookedAt))
+    .map(rule => {
+      const amount = rule.adjustmentType === 'percentage'
+        ? Math.round(base.price * rule.value / 100)
+        : rule.value;
+      return {
+        rule: rule._id,
+        name: rule.name,
+        type: rule.type,
+        amount: rule.type === 'early-bird' ? -amount : amount
+      };
+    });
+
+  const total = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, base.price);
+
+  return {
+    basePrice: base.price,
+    adjustments,
+    price: Math.max(0, total),
+    currency: base.currency
+  };
+};
+
+/**
+ * Resolve the price of a single slot
+ * @param {Object} slot - The slot
+ * @param {Date} bookedAt - When the booking is made
+ * @returns {Promise<Object|null>} - See resolveSlotPrice
+ */
+const getSlotPrice = async (slot, bookedAt = new Date()) => {
+  return resolveSlotPrice(slot, await loadPricingContext(), bookedAt);
+};
+
+module.exports = {
+  loadPricingContext,
+  resolveSlotPrice,
+  getSlotPrice
+};
@@ -0,0 +1,154 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const { sendRefundInitiatedNotification } = require('./email');
+const { auditSnapshot, recordAudit } = require('./auditLog');
+const { addCredit } = require('./credits');
+const { restorePackageCredit } = require('./packages');
+
+// Candidates who cancel at least this many hours before the start get a full refund
+const REFUND_FULL_CUTOFF_HOURS = parseInt(process.env.REFUND_FULL_CUTOFF_HOURS) || 24;
+
+// Share of the payment refunded for later candidate cancellations (0 disables partial refunds)
+const LATE_CANCELLATION_REFUND_PERCENT = isNaN(parseInt(process.env.LATE_CANCELLATION_REFUND_PERCENT))
+  ? 50
+  : parseInt(process.env.LATE_CANCELLATION_REFUND_PERCENT);
+
+/**
+ * Apply the cancellation policy.
+ * - 'interviewer': the interviewer or the platform called it off, so the refund is full
+ * - 'candidate': full up to REFUND_FULL_CUTOFF_HOURS before the start, partial after that
+ * - 'no-show': the candidate did not turn up, so nothing is refunded
+ * @param {Object} interview - The interview
+ * @param {String} cause - 'interviewer', 'candidate' or 'no-show'
+ * @param {Date} cancelledAt - When the cancellation happened
+ * @returns {Object} - { policy: 'full' | 'partial' | 'none', percent }
+ */
+const getRefundPolicy = (interview, cause, cancelledAt = new Date()) => {
+  if (cause === 'no-show') {
+    return { policy: 'none', percent: 0 };
+  }
+
+  if (cause === 'candidate') {
+    const hoursBefore = (interview.scheduledDate.getTime() - cancelledAt.getTime()) / (60 * 60 * 1000);
+    if (hoursBefore < REFUND_FULL_CUTOFF_HOURS) {
+      return LATE_CANCELLATION_REFUND_PERCENT > 0
+        ? { policy: 'partial', percent: LATE_CANCELLATION_REFUND_PERCENT }
+        : { policy: 'none', percent: 0 };
+    }
+  }
+
+  return { policy: 'full', percent: 100 };
+};
+
+/**
+ * Settle what is owed for a cancelled interview. Credit that was applied to the booking
+ * always goes back to the wallet in full, even for late cancellations, as it keeps the
+ * money on the platform. The UPI part is refunded under the cancellation policy through
+ * a Refund record, or added to the wallet in full when the candidate asked for credit.
+ * UPI money only becomes credit once its payment is verified: an unchecked screenshot
+ * is refunded under the normal policy, after an admin has looked at it.
+ * Only paid (submitted or verified) payments are settled, and each payment at most once.
+ * Never throws: a failure is logged so the cancellation itself still succeeds.
+ * @param {Object} interview - The cancelled interview
+ * @param {Object} options - { cause, reason, req, asCredit }; req is the actor's request for the audit log
+ * @returns {Promise<Object|null>} - { refund, credit, packageCreditReturned }, or null if nothing is owed
+ */
+const issueRefund = async (interview, { cause, reason, req = null, asCredit = false }) => {
+  try {
+    if (cause === 'no-show') {
+      return null;
+    }
+
+    const timingPolicy = getRefundPolicy(interview, cause);
+
+    // Interviews booked with a package credit get the credit back rather than money.
+    // A credit cannot be split, so late cancellations that only earn a partial refund
+    // lose it, whichever way the candidate asked to be refunded.
+    if (interview.packagePurchase) {
+      const returned = timingPolicy.policy === 'full' &&
+        await restorePackageCredit(interview.packagePurchase, interview.interviewType, interview._id);
+      return returned ? { refund: null, credit: 0, packageCreditReturned: true } : null;
+    }
+
+    if (!interview.paymentId) {
+      return null;
+    }
+
+    // Claim the payment so a second cancellation path cannot settle it again.
+    // When the policy refunds no UPI money, only credit applied to the payment, or a
+    // verified payment the candidate takes as credit, is owed anything.
+    const paymentFilter = {
+      _id: interview.paymentId,
+      status: { $in: ['submitted', 'verified'] },
+      refundRequestedAt: { $exists: false }
+    };
+    if (timingPolicy.policy === 'none') {
+      paymentFilter.$or = [{ creditApplied: { $gt: 0 } }, ...(asCredit ? [{ status: 'verified' }] : [])];
+    }
+    const payment = await Payment.findOneAndUpdate(
+      paymentFilter,
+      { $set: { refundRequestedAt: new Date(), refundReason: reason } },
+      { new: true }
+    );
+    if (!payment) {
+      return null;
+    }
+
+    // The UPI part follows the policy unless it can become credit
+    const upiAsCredit = asCredit && payment.status === 'verified';
+    const upiPolicy = upiAsCredit ? { policy: 'full', percent: 100 } : timingPolicy;
+    const upiAmount = upiAsCredit ? 0 : Math.round(payment.amount * upiPolicy.percent / 100);
+    const creditAmount = (payment.creditApplied || 0) + (upiAsCredit ? payment.amount : 0);
+
+    if (creditAmount > 0) {
+      await addCredit(interview.candidate, creditAmount, {
+        source: 'cancellation',
+        reason,
+        interview: interview._id,
+        payment: payment._id
+      });
+    }
+
+    // Nothing to pay out over UPI: the payment is settled by the credit alone
+    if (upiAmount === 0) {
+      const paymentBefore = auditSnapshot('Payment', payment);
+      payment.status = 'refunded';
+      await payment.save();
+      await recordAudit(req, 'payment.refundAsCredit', 'Payment', { entity: payment, before: paymentBefore });
+      return { refund: null, credit: creditAmount };
+    }
+
+    const refund = await Refund.create({
+      payment: payment._id,
+      interview: interview._id,
+      candidate: interview.candidate,
+      amount: upiAmount,
+      paidAmount: payment.amount,
+      policy: upiPolicy.policy,
+      reason
+    });
+    await recordAudit(req, 'refund.create', 'Refund', { entity: refund });
+
+    try {
+      const candidate = await User.findById(interview.candidate);
+      const admin = await User.findOne({ role: 'admin' });
+      const adminEmail = admin ? admin.email : process.env.ADMIN_EMAIL || 'admin@s30mocks.com';
+      await sendRefundInitiatedNotification(refund, interview, candidate, adminEmail);
+    } catch (emailError) {
+      console.error('Error sending refund notification email:', emailError);
+    }
+
+    return { refund, credit: creditAmount };
+  } catch (error) {
+    console.error(`Error issuing refund for interview ${interview._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  REFUND_FULL_CUTOFF_HOURS,
+  LATE_CANCELLATION_REFUND_PERCENT,
+  getRefundPolicy,
+  issueRefund
+};
@@ -0,0 +1,75 @@
+// Minutes before an interview that reminders go out when a user has not chosen their own
+const DEFAULT_REMINDER_OFFSETS = (process.env.REMINDER_OFFSETS_MINUTES || '1440,120,15')
+  .split(',')
+  .map(value => parseInt(value))
+  .filter(value => Number.isInteger(value) && value > 0);
+
+// Limits for user-chosen reminder offsets
+const MIN_REMINDER_OFFSET_MINUTES = 5;
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+const MAX_REMINDER_COUNT = 5;
+
+// Shown to candidates when the interview type has no prep tips of its own
+const DEFAULT_PREP_TIPS = [
+  'Test your camera, microphone and internet connection beforehand',
+  'Join from a quiet place a few minutes early',
+  'Think out loud and ask clarifying questions before you start solving'
+];
+
+/**
+ * Get the reminder offsets for a user, falling back to the global default
+ * @param {Object} user - The user (may be null)
+ * @returns {Array} - Offsets in minutes, largest first
+ */
+const getReminderOffsets = (user) => {
+  const offsets = user && Array.isArray(user.reminderOffsets) ? user.reminderOffsets : DEFAULT_REMINDER_OFFSETS;
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * Validate reminder offsets from a request body.
+ * null restores the default and an empty array turns reminders off.
+ * @param {*} offsets - The requested offsets
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validateReminderOffsets = (offsets) => {
+  if (offsets === undefined || offsets === null) {
+    return null;
+  }
+  if (!Array.isArray(offsets) || offsets.length > MAX_REMINDER_COUNT) {
+    return `Reminder offsets must be an array of at most ${MAX_REMINDER_COUNT} values`;
+  }
+  if (!offsets.every(offset =>
+    Number.isInteger(offset) &&
+    offset >= MIN_REMINDER_OFFSET_MINUTES &&
+    offset <= MAX_REMINDER_OFFSET_MINUTES
+  )) {
+    return `Reminder offsets must be whole minutes between ${MIN_REMINDER_OFFSET_MINUTES} and ${MAX_REMINDER_OFFSET_MINUTES}`;
+  }
+  return null;
+};
+
+/**
+ * Describe how long before the interview a reminder goes out, e.g. "2 Hours"
+ * @param {Number} minutes - Offset in minutes
+ * @returns {String}
+ */
+const formatReminderLead = (minutes) => {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (minutes % 1440 === 0) {
+    return plural(minutes / 1440, 'Day');
+  }
+  if (minutes % 60 === 0) {
+    return plural(minutes / 60, 'Hour');
+  }
+  return plural(minutes, 'Minute');
+};
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  MAX_REMINDER_OFFSET_MINUTES,
+  DEFAULT_PREP_TIPS,
+  getReminderOffsets,
+  validateReminderOffsets,
+  formatReminderLead
+};
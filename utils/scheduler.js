@@ -1,93 +1,160 @@
 const Interview = require('../models/Interview');
 const User = require('../models/User');
 const { sendInterviewReminder } = require('./email');
+const { materializeAllRules } = require('./availabilityRules');
+const { releaseExpiredHolds } = require('./slotBooking');
+const { expireWaitlistOffers } = require('./waitlist');
+const { detectNoShows } = require('./noShow');
+const { getInterviewType } = require('./interviewTypes');
+const {
+  DEFAULT_REMINDER_OFFSETS,
+  MAX_REMINDER_OFFSET_MINUTES,
+  DEFAULT_PREP_TIPS,
+  getReminderOffsets
+} = require('./reminders');
+const {
+  registerJobHandler,
+  enqueueJob,
+  cancelJobs,
+  processDueJobs,
+  purgeFinishedJobs
+} = require('./jobQueue');
 const cron = require('node-cron');
 
+// Job type for the email reminders sent before an interview
+const REMINDER_JOB = 'interview-reminder';
+
+/**
+ * Send one reminder email if the interview is still going ahead at the same time.
+ * The send is recorded on the interview first, so it happens at most once.
+ * @param {Object} payload - Job payload: interviewId, recipient, offsetMinutes, scheduledFor
+ */
+const sendReminderJob = async ({ interviewId, recipient, offsetMinutes, scheduledFor }) => {
+  // Fetch the latest interview data to ensure it's not cancelled or moved
+  const interview = await Interview.findById(interviewId).populate('problem', 'title leetcodeUrl');
+  if (!interview || interview.status !== 'scheduled') {
+    console.log(`Interview ${interviewId} is no longer scheduled. Skipping reminder.`);
+    return;
+  }
+
+  const scheduledDate = new Date(scheduledFor);
+  if (interview.scheduledDate.getTime() !== scheduledDate.getTime()) {
+    console.log(`Interview ${interviewId} was rescheduled. Skipping stale reminder.`);
+    return;
+  }
+
+  const sendRecord = { recipient, offsetMinutes, scheduledFor: scheduledDate };
+  const recorded = await Interview.updateOne(
+    { _id: interview._id, remindersSent: { $not: { $elemMatch: sendRecord } } },
+    { $push: { remindersSent: { ...sendRecord, sentAt: new Date() } } }
+  );
+  if (recorded.modifiedCount === 0) {
+    console.log(`The ${offsetMinutes} minute ${recipient} reminder for interview ${interviewId} was already sent`);
+    return;
+  }
+
+  try {
+    // Get user details
+    const candidate = await User.findById(interview.candidate);
+    const interviewer = await User.findById(interview.interviewer);
+    const admin = await User.findOne({ role: 'admin' });
+    const type = await getInterviewType(interview.interviewType);
+
+    await sendInterviewReminder(interview, candidate, interviewer, recipient, {
+      minutesBefore: offsetMinutes,
+      prepTips: type && type.prepTips.length > 0 ? type.prepTips : DEFAULT_PREP_TIPS,
+      problem: interview.problem,
+      adminEmail: admin ? admin.email : process.env.ADMIN_EMAIL || 'admin@s30mocks.com'
+    });
+  } catch (error) {
+    // Forget the send so the job retry can try again
+    await Interview.updateOne(
+      { _id: interview._id },
+      { $pull: { remindersSent: sendRecord } }
+    );
+    throw error;
+  }
+
+  console.log(`Sent ${offsetMinutes} minute ${recipient} reminder for interview ${interviewId}`);
+};
+
 /**
- * Schedule an email reminder for 30 minutes before an interview
+ * Queue the reminder emails for an interview.
+ * The candidate and interviewer each get reminders at their own offsets, and the
+ * admin gets one at the shortest default offset. Calling this again (e.g. after a
+ * reschedule or a change of offsets) replaces the queued reminders. Reminders that
+ * are already due are left for the queue to send, so a refresh at the moment one
+ * falls due does not drop it.
  * @param {String} interviewId - The ID of the interview
  */
 const scheduleInterviewReminder = async (interviewId) => {
   try {
     // Get the interview details
-    const interview = await Interview.findById(interviewId);
+    const interview = await Interview.findById(interviewId)
+      .populate('candidate', 'reminderOffsets')
+      .populate('interviewer', 'reminderOffsets');
     if (!interview) {
       console.error(`Interview not found for ID: ${interviewId}`);
       return;
     }
 
-    // Check if a reminder is already scheduled for this interview
-    if (global.reminderJobs && global.reminderJobs.has(interviewId)) {
-      console.log(`Reminder already scheduled for interview ${interviewId}, skipping`);
-      return;
-    }
+    // Jobs are keyed by the string ID so ObjectId and string callers match
+    const id = interviewId.toString();
+    const now = new Date();
 
-    // Calculate the reminder time (30 minutes before the interview)
-    const interviewTime = new Date(interview.scheduledDate);
-    const reminderTime = new Date(interviewTime.getTime() - 30 * 60 * 1000);
-    
-    // If the reminder time is in the past, don't schedule it
-    if (reminderTime <= new Date()) {
-      console.log(`Reminder time is in the past for interview: ${interviewId}`);
-      return;
+    const reminders = [
+      ...getReminderOffsets(interview.candidate).map(offset => ({ recipient: 'candidate', offset })),
+      ...getReminderOffsets(interview.interviewer).map(offset => ({ recipient: 'interviewer', offset }))
+    ];
+    if (DEFAULT_REMINDER_OFFSETS.length > 0) {
+      reminders.push({ recipient: 'admin', offset: Math.min(...DEFAULT_REMINDER_OFFSETS) });
     }
 
-    console.log(`Scheduling reminder for interview ${interviewId} at ${reminderTime.toISOString()}`);
-    
-    // Schedule the reminder
-    const job = setTimeout(async () => {
-      try {
-        // Remove the job from the map since it's executing now
-        if (global.reminderJobs) {
-          global.reminderJobs.delete(interviewId);
-        }
-
-        // Fetch the latest interview data to ensure it's not cancelled
-        const updatedInterview = await Interview.findById(interviewId);
-        if (!updatedInterview || updatedInterview.status === 'cancelled') {
-          console.log(`Interview ${interviewId} is cancelled or no longer exists. Skipping reminder.`);
-          return;
-        }
-
-        // Get user details
-        const candidate = await User.findById(updatedInterview.candidate);
-        const interviewer = await User.findById(updatedInterview.interviewer);
-        const admin = await User.findOne({ role: 'admin' });
-        
-        // Send reminder emails
-        await sendInterviewReminder(
-          updatedInterview,
-          candidate,
-          interviewer,
-          admin ? admin.email : process.env.ADMIN_EMAIL || 'admin@s30mocks.com'
-        );
-        
-        console.log(`Reminder sent for interview ${interviewId}`);
-      } catch (error) {
-        console.error(`Error sending reminder for interview ${interviewId}:`, error);
+    const queuedKeys = [];
+    for (const { recipient, offset } of reminders) {
+      const reminderTime = new Date(interview.scheduledDate.getTime() - offset * 60 * 1000);
+
+      // If the reminder time is in the past, don't schedule it
+      if (reminderTime <= now) {
+        continue;
       }
-    }, reminderTime.getTime() - Date.now());
-    
-    // Store the job in a global map to be able to cancel it if needed
-    if (!global.reminderJobs) {
-      global.reminderJobs = new Map();
+
+      const key = `${REMINDER_JOB}:${id}:${recipient}:${offset}`;
+      await enqueueJob(
+        REMINDER_JOB,
+        {
+          interviewId: id,
+          recipient,
+          offsetMinutes: offset,
+          scheduledFor: interview.scheduledDate.toISOString()
+        },
+        reminderTime,
+        { key }
+      );
+      queuedKeys.push(key);
     }
-    global.reminderJobs.set(interviewId, job);
-    
+
+    // Drop future reminders that are no longer wanted, e.g. for a removed offset
+    await cancelJobs(REMINDER_JOB, { interviewId: id }, { exceptKeys: queuedKeys, dueAfter: now });
+
+    console.log(`Queued ${queuedKeys.length} reminders for interview ${interviewId}`);
   } catch (error) {
     console.error(`Error scheduling reminder for interview ${interviewId}:`, error);
   }
 };
 
 /**
- * Cancel a scheduled reminder
+ * Cancel the queued reminders of an interview
  * @param {String} interviewId - The ID of the interview
  */
-const cancelInterviewReminder = (interviewId) => {
-  if (global.reminderJobs && global.reminderJobs.has(interviewId)) {
-    clearTimeout(global.reminderJobs.get(interviewId));
-    global.reminderJobs.delete(interviewId);
-    console.log(`Cancelled reminder for interview ${interviewId}`);
+const cancelInterviewReminder = async (interviewId) => {
+  try {
+    const cancelled = await cancelJobs(REMINDER_JOB, { interviewId: interviewId.toString() });
+    if (cancelled > 0) {
+      console.log(`Cancelled ${cancelled} reminders for interview ${interviewId}`);
+    }
+  } catch (error) {
+    console.error(`Error cancelling reminder for interview ${interviewId}:`, error);
   }
 };
 
@@ -95,38 +162,74 @@ const cancelInterviewReminder = (interviewId) => {
  * Initialize the scheduler to check for upcoming interviews
  */
 const initializeScheduler = () => {
-  // Initialize the global map for reminder jobs if it doesn't exist
-  if (!global.reminderJobs) {
-    global.reminderJobs = new Map();
-  }
+  registerJobHandler(REMINDER_JOB, sendReminderJob);
+
+  // Run every minute to pick up due jobs; the queue makes sure only one
+  // instance runs each job, and jobs survive restarts
+  cron.schedule('* * * * *', async () => {
+    try {
+      await processDueJobs();
+    } catch (error) {
+      console.error('Error processing queued jobs:', error);
+    }
+  });
 
-  // Run every hour to schedule reminders for upcoming interviews
+  // Run every hour to refresh the reminders of upcoming interviews, e.g. for
+  // interviews booked before the job queue existed or users who changed their offsets
   cron.schedule('0 * * * *', async () => {
     try {
       console.log('Running scheduled check for upcoming interviews...');
       
-      // Get all scheduled interviews in the next 24 hours
+      // Get all scheduled interviews close enough to need a reminder
       const now = new Date();
-      const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+      const horizon = new Date(now.getTime() + MAX_REMINDER_OFFSET_MINUTES * 60 * 1000);
       
       const upcomingInterviews = await Interview.find({
         status: 'scheduled',
-        scheduledDate: { $gte: now, $lte: tomorrow }
+        scheduledDate: { $gte: now, $lte: horizon }
       });
       
-      console.log(`Found ${upcomingInterviews.length} upcoming interviews in the next 24 hours`);
-      
-      // Log currently scheduled reminders
-      console.log(`Currently have ${global.reminderJobs.size} reminders scheduled`);
+      console.log(`Found ${upcomingInterviews.length} upcoming interviews that need reminders`);
       
-      // Schedule reminders for each interview (the function will check for duplicates)
+      // Queueing is keyed per reminder, so already queued or sent reminders are not duplicated
       for (const interview of upcomingInterviews) {
-        scheduleInterviewReminder(interview._id);
+        await scheduleInterviewReminder(interview._id);
       }
     } catch (error) {
       console.error('Error in scheduled interview check:', error);
     }
   });
+
+  // Run daily to extend slots generated from recurring availability rules
+  cron.schedule('15 0 * * *', async () => {
+    try {
+      console.log('Materializing slots from availability rules...');
+      await materializeAllRules();
+      await purgeFinishedJobs();
+    } catch (error) {
+      console.error('Error materializing availability rules:', error);
+    }
+  });
+  
+  // Run every 5 minutes to release slot holds whose payment window has passed
+  // and pass unused waitlist offers on to the next candidate
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await releaseExpiredHolds();
+      await expireWaitlistOffers();
+    } catch (error) {
+      console.error('Error releasing expired slot holds:', error);
+    }
+  });
+
+  // Run every 15 minutes to flag interviews that ended without anyone starting them
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await detectNoShows();
+    } catch (error) {
+      console.error('Error detecting interview no-shows:', error);
+    }
+  });
   
   console.log('Interview reminder scheduler initialized');
 };
@@ -0,0 +1,142 @@
+const InterviewSlot = require('../models/InterviewSlot');
+const Payment = require('../models/Payment');
+
+// How long a slot stays held while the candidate completes a UPI payment
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 15;
+
+/**
+ * Build a query condition matching slots that are not held by anyone else
+ * @param {String} userId - The user allowed to see their own held slots
+ * @returns {Object} - Condition to merge into an InterviewSlot query
+ */
+const notHeldByOthers = (userId) => {
+  const conditions = [
+    { holdExpiresAt: null },
+    { holdExpiresAt: { $lte: new Date() } }
+  ];
+  if (userId) {
+    conditions.push({ heldBy: userId });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * Place a time-limited hold on an unbooked slot for a candidate.
+ * An existing hold by the same candidate is extended.
+ * @param {String} slotId - The ID of the slot to hold
+ * @param {String} userId - The candidate placing the hold
+ * @param {Number} minutes - How long the hold lasts
+ * @returns {Promise<Object|null>} - The held slot, or null if it is booked or held by someone else
+ */
+const placeHold = async (slotId, userId, minutes = HOLD_MINUTES) => {
+  return await InterviewSlot.findOneAndUpdate(
+    { _id: slotId, isBooked: false, ...notHeldByOthers(userId) },
+    {
+      $set: {
+        heldBy: userId,
+        holdExpiresAt: new Date(Date.now() + minutes * 60 * 1000)
+      },
+      $unset: { holdPayment: 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Record which pre-booking payment a hold belongs to
+ * @param {String} slotId - The ID of the held slot
+ * @param {String} paymentId - The ID of the pre-booking payment
+ */
+const attachPaymentToHold = async (slotId, paymentId) => {
+  await InterviewSlot.updateOne(
+    { _id: slotId },
+    { $set: { holdPayment: paymentId } }
+  );
+};
+
+/**
+ * Release a hold placed by a candidate
+ * @param {String} slotId - The ID of the held slot
+ * @param {String} userId - The candidate who placed the hold
+ */
+const releaseHold = async (slotId, userId) => {
+  await InterviewSlot.updateOne(
+    { _id: slotId, heldBy: userId },
+    { $unset: { heldBy: 1, holdExpiresAt: 1, holdPayment: 1 } }
+  );
+};
+
+/**
+ * Clear expired holds and mark their unpaid pre-booking payments as abandoned
+ */
+const releaseExpiredHolds = async () => {
+  const now = new Date();
+
+  const abandoned = await Payment.updateMany(
+    { isPreBooking: true, status: 'pending', holdExpiresAt: { $lte: now } },
+    { $set: { status: 'abandoned' } }
+  );
+
+  const released = await InterviewSlot.updateMany(
+    { holdExpiresAt: { $lte: now } },
+    { $unset: { heldBy: 1, holdExpiresAt: 1, holdPayment: 1 } }
+  );
+
+  if (released.modifiedCount > 0 || abandoned.modifiedCount > 0) {
+    console.log(`Released ${released.modifiedCount} expired slot holds, abandoned ${abandoned.modifiedCount} pre-booking payments`);
+  }
+};
+
+/**
+ * Atomically claim an unbooked slot.
+ * Only one concurrent caller can flip isBooked from false to true, so the
+ * caller that gets null back lost the race and must not create an interview.
+ * While a slot is held, only the candidate holding it can claim it.
+ * @param {String} slotId - The ID of the slot to claim
+ * @param {String} userId - The candidate booking the slot
+ * @returns {Promise<Object|null>} - The claimed slot, or null if it was already booked or held
+ */
+const claimSlot = async (slotId, userId) => {
+  return await InterviewSlot.findOneAndUpdate(
+    { _id: slotId, isBooked: false, ...notHeldByOthers(userId) },
+    {
+      $set: { isBooked: true },
+      $unset: { heldBy: 1, holdExpiresAt: 1, holdPayment: 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Link a claimed slot to the interview created for it
+ * @param {String} slotId - The ID of the claimed slot
+ * @param {String} interviewId - The ID of the interview
+ */
+const attachInterviewToSlot = async (slotId, interviewId) => {
+  await InterviewSlot.updateOne(
+    { _id: slotId },
+    { $set: { interview: interviewId } }
+  );
+};
+
+/**
+ * Release a slot claimed by claimSlot, e.g. when the rest of the booking failed
+ * @param {String} slotId - The ID of the slot to release
+ */
+const releaseSlot = async (slotId) => {
+  await InterviewSlot.updateOne(
+    { _id: slotId },
+    { $set: { isBooked: false }, $unset: { interview: 1 } }
+  );
+};
+
+module.exports = {
+  notHeldByOthers,
+  placeHold,
+  attachPaymentToHold,
+  releaseHold,
+  releaseExpiredHolds,
+  claimSlot,
+  attachInterviewToSlot,
+  releaseSlot
+};
@@ -0,0 +1,193 @@
+const InterviewSlot = require('../models/InterviewSlot');
+const { getActiveInterviewType, getDurationError } = require('./interviewTypes');
+const { offerSlotToWaitlist } = require('./waitlist');
+
+const OPERATIONS = ['delete', 'changeType', 'shift'];
+
+const overlaps = (a, b) => a.startTime < b.endTime && a.endTime > b.startTime;
+
+const describe = (slot) => ({
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  interviewType: slot.interviewType
+});
+
+// Slots held by a candidate who is paying right now must not change under them
+const isActivelyHeld = (slot, now) => slot.holdExpiresAt && slot.holdExpiresAt > now;
+
+/**
+ * Work out what a bulk operation would do without changing anything.
+ * Booked and currently held slots are always skipped, as are changes that
+ * would overlap another slot of the interviewer. Changing the type keeps a slot's
+ * times, so slots whose length does not fit the new type are skipped.
+ * @param {String} interviewerId - The interviewer whose slots are changed
+ * @param {Object} options - { operation, startDate, endDate, interviewType, newInterviewType, minutes }
+ * @returns {Promise<Object>} - { error } or { changes: [{ slot, before, after }], skipped: [{ slotId, startTime, reason }] }
+ */
+const planBulkOperation = async (interviewerId, options) => {
+  const { operation, startDate, endDate, interviewType, newInterviewType, minutes } = options;
+  const now = new Date();
+
+  if (!OPERATIONS.includes(operation)) {
+    return { error: `Operation must be one of: ${OPERATIONS.join(', ')}` };
+  }
+
+  const rangeStart = new Date(startDate);
+  const rangeEnd = new Date(endDate);
+  if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime()) || rangeEnd <= rangeStart) {
+    return { error: 'A valid start date and end date after it are required' };
+  }
+
+  let newType = null;
+  if (operation === 'changeType') {
+    newType = await getActiveInterviewType(newInterviewType);
+    if (!newType) {
+      return { error: 'A valid new interview type is required' };
+    }
+  }
+
+  const shiftMs = operation === 'shift' ? parseInt(minutes) * 60 * 1000 : 0;
+  if (operation === 'shift' && !shiftMs) {
+    return { error: 'Minutes to shift must be a non-zero whole number' };
+  }
+
+  const filter = {
+    interviewer: interviewerId,
+    startTime: { $gte: rangeStart > now ? rangeStart : now, $lte: rangeEnd }
+  };
+  if (interviewType) {
+    filter.interviewType = interviewType;
+  }
+
+  const selected = await InterviewSlot.find(filter).sort({ startTime: 1 });
+
+  const changes = [];
+  const skipped = [];
+  const candidates = [];
+
+  selected.forEach(slot => {
+    if (slot.isBooked) {
+      skipped.push({ slotId: slot._id, startTime: slot.startTime, reason: 'Slot is booked' });
+    } else if (isActivelyHeld(slot, now)) {
+      skipped.push({ slotId: slot._id, startTime: slot.startTime, reason: 'Slot is held by a candidate completing payment' });
+    } else if (operation === 'changeType' && slot.interviewType === newType.name) {
+      skipped.push({ slotId: slot._id, startTime: slot.startTime, reason: `Slot is already a ${newType.name} slot` });
+    } else if (operation === 'changeType' && getDurationError(newType, slot.startTime, slot.endTime)) {
+      skipped.push({ slotId: slot._id, startTime: slot.startTime, reason: getDurationError(newType, slot.startTime, slot.endTime) });
+    } else {
+      candidates.push(slot);
+    }
+  });
+
+  if (operation === 'delete') {
+    candidates.forEach(slot => changes.push({ slot, before: describe(slot), after: null }));
+    return { changes, skipped };
+  }
+
+  // Proposed times for every slot that would move (a type change keeps the times)
+  const proposals = candidates.map(slot => {
+    const startTime = new Date(slot.startTime.getTime() + shiftMs);
+    const endTime = new Date(slot.endTime.getTime() + shiftMs);
+    return { slot, after: { startTime, endTime, interviewType: newType ? newType.name : slot.interviewType } };
+  });
+
+  // Everything that stays where it is, including slots outside the range
+  const proposedIds = new Set(proposals.map(proposal => proposal.slot._id.toString()));
+  const earliest = new Date(Math.min(...proposals.map(p => p.after.startTime.getTime()), rangeStart.getTime()));
+  const latest = new Date(Math.max(...proposals.map(p => p.after.endTime.getTime()), rangeEnd.getTime()));
+  const fixedSlots = (await InterviewSlot.find({
+    interviewer: interviewerId,
+    startTime: { $lt: latest },
+    endTime: { $gt: earliest }
+  })).filter(slot => !proposedIds.has(slot._id.toString()));
+
+  // Accept proposals in time order so each one is checked against those already accepted
+  const accepted = [];
+  proposals.forEach(({ slot, after }) => {
+    let reason = null;
+    if (after.startTime <= now) {
+      reason = 'Slot would start in the past';
+    } else if (fixedSlots.some(other => overlaps(after, other))) {
+      reason = 'Slot would overlap another slot';
+    } else if (accepted.some(other => overlaps(after, other.after))) {
+      reason = 'Slot would overlap another changed slot';
+    }
+
+    if (reason) {
+      skipped.push({ slotId: slot._id, startTime: slot.startTime, reason });
+      // A rejected slot stays where it is and blocks the others
+      fixedSlots.push(slot);
+    } else {
+      accepted.push({ slot, before: describe(slot), after });
+    }
+  });
+
+  // A rejected slot stays put and may collide with a change accepted before it;
+  // drop such changes (which then stay put too) until nothing collides
+  let finalChanges = accepted;
+  let blocked;
+  do {
+    blocked = finalChanges.filter(change =>
+      fixedSlots.some(other => other._id.toString() !== change.slot._id.toString() && overlaps(change.after, other))
+    );
+    blocked.forEach(change => {
+      skipped.push({ slotId: change.slot._id, startTime: change.slot.startTime, reason: 'Slot would overlap another slot' });
+      fixedSlots.push(change.slot);
+    });
+    finalChanges = finalChanges.filter(change => !blocked.includes(change));
+  } while (blocked.length > 0);
+
+  return { changes: finalChanges, skipped };
+};
+
+/**
+ * Apply a planned bulk operation. Each write re-checks that the slot is still
+ * unbooked and not held, so slots booked in the meantime are reported as skipped.
+ * @param {String} operation - 'delete', 'changeType' or 'shift'
+ * @param {Object} plan - Result of planBulkOperation
+ * @returns {Promise<Object>} - { changes, skipped } describing what actually happened
+ */
+const applyBulkOperation = async (operation, plan) => {
+  const now = new Date();
+  const stillFree = {
+    isBooked: false,
+    $or: [{ holdExpiresAt: null }, { holdExpiresAt: { $lte: now } }]
+  };
+
+  const changes = [];
+  const skipped = [...plan.skipped];
+
+  for (const change of plan.changes) {
+    let result;
+    if (operation === 'delete') {
+      result = await InterviewSlot.deleteOne({ _id: change.slot._id, ...stillFree });
+    } else {
+      result = await InterviewSlot.updateOne(
+        { _id: change.slot._id, ...stillFree },
+        { $set: change.after }
+      );
+    }
+
+    const applied = operation === 'delete' ? result.deletedCount === 1 : result.modifiedCount === 1;
+    if (applied) {
+      changes.push(change);
+    } else {
+      skipped.push({ slotId: change.slot._id, startTime: change.slot.startTime, reason: 'Slot was booked or held while the operation ran' });
+    }
+  }
+
+  // Changed slots are effectively new openings for the waitlist
+  if (operation !== 'delete') {
+    for (const change of changes) {
+      await offerSlotToWaitlist(change.slot._id);
+    }
+  }
+
+  return { changes, skipped };
+};
+
+module.exports = {
+  OPERATIONS,
+  planBulkOperation,
+  applyBulkOperation
+};
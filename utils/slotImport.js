@@ -0,0 +1,197 @@
+const { DateTime } = require('luxon');
+const { getInterviewTypes } = require('./interviewTypes');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('./timezone');
+
+// Largest schedule accepted in one file
+const MAX_IMPORT_ROWS = parseInt(process.env.SLOT_IMPORT_MAX_ROWS) || 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// Accepted spellings of each column, compared without spaces, dashes, underscores or case
+const COLUMN_ALIASES = {
+  date: ['date', 'day'],
+  startTime: ['starttime', 'start', 'time'],
+  timeZone: ['timezone', 'tz', 'zone'],
+  interviewType: ['interviewtype', 'type']
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+const columnFor = (key) => {
+  const normalized = normalizeKey(key);
+  return Object.keys(COLUMN_ALIASES).find(column => COLUMN_ALIASES[column].includes(normalized)) || null;
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {String} text - CSV content
+ * @returns {Array} - Array of { line, fields }
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+
+  // Ignore blank lines
+  return rows.filter(row => row.fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read raw schedule rows from an uploaded CSV or JSON file
+ * @param {Object} file - Multer file ({ buffer, originalname, mimetype })
+ * @returns {Object} - { error } or { rows: [{ line, date, startTime, timeZone, interviewType }] }
+ */
+const readScheduleFile = (file) => {
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const isJson = file.mimetype === 'application/json' || /\.json$/i.test(file.originalname || '');
+
+  let records;
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+    const list = Array.isArray(data) ? data : data && data.slots;
+    if (!Array.isArray(list)) {
+      return { error: 'JSON file must contain an array of slots or an object with a "slots" array' };
+    }
+    // JSON rows are reported by their 1-based position in the array
+    records = list.map((item, index) => ({ line: index + 1, values: item && typeof item === 'object' ? item : {} }));
+  } else {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+      return { error: 'The file is empty' };
+    }
+    const header = rows[0].fields.map(columnFor);
+    const missing = ['date', 'startTime', 'interviewType'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      return { error: `Missing required columns: ${missing.join(', ')}` };
+    }
+    records = rows.slice(1).map(row => ({
+      line: row.line,
+      values: header.reduce((values, column, index) => {
+        if (column) values[column] = row.fields[index];
+        return values;
+      }, {})
+    }));
+  }
+
+  if (records.length === 0) {
+    return { error: 'The file does not contain any slots' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can contain at most ${MAX_IMPORT_ROWS} slots` };
+  }
+
+  const rows = records.map(({ line, values }) => {
+    const row = { line };
+    Object.entries(values).forEach(([key, value]) => {
+      const column = isJson ? columnFor(key) : key;
+      if (column) row[column] = value === undefined || value === null ? '' : String(value).trim();
+    });
+    return row;
+  });
+
+  return { rows };
+};
+
+/**
+ * Turn schedule rows into slot entries; the end time comes from the interview type's duration
+ * @param {Array} rows - Rows from readScheduleFile
+ * @param {String} defaultTimeZone - Timezone for rows that leave it empty
+ * @returns {Promise<Array>} - [{ line, date, startTime, timeZone, interviewType, start, end, errors }]
+ */
+const buildImportEntries = async (rows, defaultTimeZone = DEFAULT_TIMEZONE) => {
+  const types = await getInterviewTypes();
+
+  return rows.map(row => {
+    const errors = [];
+    const timeZone = row.timeZone || defaultTimeZone;
+    const type = types.find(candidate => candidate.name === row.interviewType);
+
+    if (!DATE_PATTERN.test(row.date || '')) {
+      errors.push('Date must be in yyyy-MM-dd format');
+    }
+    if (!TIME_PATTERN.test(row.startTime || '')) {
+      errors.push('Start time must be in HH:mm format');
+    }
+    if (!isValidTimeZone(timeZone)) {
+      errors.push('Invalid timezone');
+    }
+    if (!type) {
+      errors.push(`Interview type must be one of: ${types.map(candidate => candidate.name).join(', ')}`);
+    }
+
+    let start = null;
+    let end = null;
+    if (errors.length === 0) {
+      const [hour, minute] = row.startTime.split(':').map(Number);
+      const local = DateTime.fromISO(row.date, { zone: timeZone }).set({ hour, minute });
+      if (!local.isValid) {
+        errors.push('Invalid date');
+      } else {
+        start = local.toJSDate();
+        end = local.plus({ minutes: type.duration }).toJSDate();
+      }
+    }
+
+    return {
+      line: row.line,
+      date: row.date,
+      startTime: row.startTime,
+      timeZone,
+      interviewType: row.interviewType,
+      start,
+      end,
+      errors
+    };
+  });
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readScheduleFile,
+  buildImportEntries
+};
@@ -0,0 +1,235 @@
+const { DateTime } = require('luxon');
+const InterviewSlot = require('../models/InterviewSlot');
+const User = require('../models/User');
+const { notHeldByOthers } = require('./slotBooking');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { filterBookableSlots } = require('./interviewerLimits');
+
+// How far ahead the search looks when no end date is given
+const SEARCH_HORIZON_DAYS = parseInt(process.env.SLOT_SEARCH_HORIZON_DAYS) || 28;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+/**
+ * Validate preferred time windows
+ * @param {Array} windows - Array of { daysOfWeek, startTime, endTime } in the viewer's timezone
+ * @returns {String|null} - Error message, or null if valid
+ */
+const validateWindows = (windows) => {
+  if (!Array.isArray(windows)) {
+    return 'Windows must be an array';
+  }
+  for (const window of windows) {
+    if (!TIME_PATTERN.test(window.startTime || '') || !TIME_PATTERN.test(window.endTime || '')) {
+      return 'Window start and end times must be in HH:mm format';
+    }
+    if (toMinutes(window.endTime) <= toMinutes(window.startTime)) {
+      return 'Window end time must be after its start time';
+    }
+    if (
+      window.daysOfWeek !== undefined &&
+      (!Array.isArray(window.daysOfWeek) ||
+        !window.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))
+    ) {
+      return 'Window days of week must be integers between 0 (Sunday) and 6 (Saturday)';
+    }
+  }
+  return null;
+};
+
+/**
+ * Total years of work experience, counting current roles up to today
+ * and overlapping roles only once
+ * @param {Array} workExperiences - The user's work experiences
+ * @returns {Number} - Years of experience
+ */
+const getExperienceYears = (workExperiences = []) => {
+  const ranges = workExperiences
+    .filter(experience => experience.startDate)
+    .map(experience => ({
+      start: new Date(experience.startDate).getTime(),
+      end: experience.current || !experience.endDate ? Date.now() : new Date(experience.endDate).getTime()
+    }))
+    .filter(range => range.end > range.start)
+    .sort((a, b) => a.start - b.start);
+
+  let totalMs = 0;
+  let current = null;
+  for (const range of ranges) {
+    if (current && range.start <= current.end) {
+      current.end = Math.max(current.end, range.end);
+    } else {
+      if (current) totalMs += current.end - current.start;
+      current = { ...range };
+    }
+  }
+  if (current) totalMs += current.end - current.start;
+
+  return totalMs / (365.25 * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Check whether a slot falls completely inside one of the preferred windows
+ * @param {Object} slot - The interview slot
+ * @param {Array} windows - Preferred windows
+ * @param {String} zone - Timezone the windows are expressed in
+ * @returns {Boolean}
+ */
+const fitsWindows = (slot, windows, zone) => {
+  if (!windows || windows.length === 0) {
+    return true;
+  }
+
+  const start = DateTime.fromJSDate(slot.startTime).setZone(zone);
+  const startMinutes = start.hour * 60 + start.minute;
+  const endMinutes = startMinutes + (slot.endTime - slot.startTime) / (1000 * 60);
+  const dayOfWeek = start.weekday % 7;
+
+  return windows.some(window =>
+    (!window.daysOfWeek || window.daysOfWeek.length === 0 || window.daysOfWeek.includes(dayOfWeek)) &&
+    startMinutes >= toMinutes(window.startTime) &&
+    endMinutes <= toMinutes(window.endTime)
+  );
+};
+
+/**
+ * Ranking: earliest start first, then better rated and more often rated interviewers
+ */
+const rankKey = (slot) => ({
+  t: slot.startTime.getTime(),
+  r: slot.interviewer.averageRating || 0,
+  c: slot.interviewer.ratingsCount || 0,
+  id: slot._id.toString()
+});
+
+const compareKeys = (a, b) =>
+  a.t - b.t || b.r - a.r || b.c - a.c || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+/**
+ * Decode a cursor returned by a previous search
+ * @param {String} cursor - Opaque cursor string
+ * @returns {Object|null} - The rank key, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof key.t !== 'number' || typeof key.r !== 'number' || typeof key.c !== 'number' || typeof key.id !== 'string') {
+      return null;
+    }
+    return key;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Search bookable slots across all interviewers.
+ * Results are ranked, paged with a cursor and grouped by day in the viewer's timezone.
+ * @param {Object} options - Search options
+ * @param {String} options.userId - The searching candidate (their own holds stay visible)
+ * @param {String} options.interviewType - Optional interview type
+ * @param {String} options.timeZone - Viewer timezone used for windows, dates and grouping
+ * @param {Array} options.windows - Optional preferred windows
+ * @param {String} options.startDate - Optional first day (yyyy-MM-dd in the viewer's timezone)
+ * @param {String} options.endDate - Optional last day (yyyy-MM-dd in the viewer's timezone)
+ * @param {Number} options.minRating - Optional minimum interviewer average rating
+ * @param {Array} options.companies - Optional companies; an interviewer matches if they worked at any
+ * @param {Number} options.minExperienceYears - Optional minimum years of experience
+ * @param {Object} options.after - Rank key to continue after (decoded cursor)
+ * @param {Number} options.limit - Page size
+ * @returns {Promise<Object>} - { suggestions, total, nextCursor }
+ */
+const searchSlots = async ({
+  userId,
+  interviewType,
+  timeZone = DEFAULT_TIMEZONE,
+  windows = [],
+  startDate,
+  endDate,
+  minRating,
+  companies = [],
+  minExperienceYears,
+  after,
+  limit = DEFAULT_PAGE_SIZE
+}) => {
+  // Lead time and advance horizon are applied per slot by filterBookableSlots
+  const earliest = DateTime.now();
+  let rangeStart = startDate ? DateTime.fromISO(startDate, { zone: timeZone }).startOf('day') : earliest;
+  if (rangeStart < earliest) {
+    rangeStart = earliest;
+  }
+  const rangeEnd = endDate
+    ? DateTime.fromISO(endDate, { zone: timeZone }).endOf('day')
+    : DateTime.now().plus({ days: SEARCH_HORIZON_DAYS });
+
+  const interviewerFilter = { role: 'interviewer' };
+  if (minRating) {
+    interviewerFilter.averageRating = { $gte: minRating };
+  }
+
+  const normalizedCompanies = companies.map(company => company.trim().toLowerCase()).filter(Boolean);
+  const interviewers = (await User.find(interviewerFilter)
+    .select('name linkedInUrl role averageRating ratingsCount workExperiences'))
+    .filter(interviewer =>
+      normalizedCompanies.length === 0 ||
+      (interviewer.workExperiences || []).some(experience =>
+        experience.company && normalizedCompanies.includes(experience.company.trim().toLowerCase())
+      )
+    )
+    .filter(interviewer =>
+      !minExperienceYears || getExperienceYears(interviewer.workExperiences) >= minExperienceYears
+    );
+
+  if (interviewers.length === 0) {
+    return { suggestions: [], total: 0, nextCursor: null };
+  }
+
+  const filter = {
+    isBooked: false,
+    ...notHeldByOthers(userId),
+    interviewer: { $in: interviewers.map(interviewer => interviewer._id) },
+    startTime: { $gte: rangeStart.toJSDate(), $lte: rangeEnd.toJSDate() }
+  };
+  if (interviewType) {
+    filter.interviewType = interviewType;
+  }
+
+  const slots = await InterviewSlot.find(filter)
+    .populate('interviewer', 'name linkedInUrl role averageRating ratingsCount workExperiences');
+
+  const bookable = await filterBookableSlots(slots.filter(slot => slot.interviewer));
+
+  const ranked = bookable
+    .filter(slot => fitsWindows(slot, windows, timeZone))
+    .map(slot => ({ slot, key: rankKey(slot) }))
+    .sort((a, b) => compareKeys(a.key, b.key));
+
+  const remaining = after ? ranked.filter(item => compareKeys(item.key, after) > 0) : ranked;
+  const page = remaining.slice(0, limit);
+  const offset = ranked.length - remaining.length;
+
+  return {
+    suggestions: page.map((item, index) => ({
+      slot: item.slot,
+      rank: offset + index + 1,
+      experienceYears: Math.floor(getExperienceYears(item.slot.interviewer.workExperiences))
+    })),
+    total: ranked.length,
+    nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1].key) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateWindows,
+  getExperienceYears,
+  decodeCursor,
+  searchSlots
+};
@@ -0,0 +1,87 @@
+const InterviewSlot = require('../models/InterviewSlot');
+const { getInterviewTypes, getDurationError } = require('./interviewTypes');
+
+const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+/**
+ * Validate proposed slots for an interviewer before anything is saved.
+ * Applies the same rules as single slot creation: valid times in the future,
+ * the duration required by the interview type, and no overlap with the
+ * interviewer's existing slots or with other entries in the same request.
+ * @param {String} interviewerId - The interviewer the slots belong to
+ * @param {Array} entries - Array of { start, end, interviewType }
+ * @returns {Promise<Array>} - One report item per entry: { index, start, end, interviewType, valid, errors }
+ */
+const validateSlotEntries = async (interviewerId, entries) => {
+  const now = new Date();
+  const types = await getInterviewTypes();
+  const typeNames = types.map(type => type.name).join(', ');
+
+  const report = entries.map((entry, index) => {
+    const errors = [];
+    const start = new Date(entry.start);
+    const end = new Date(entry.end);
+    const hasValidTimes = !isNaN(start.getTime()) && !isNaN(end.getTime());
+
+    const type = types.find(candidate => candidate.name === entry.interviewType);
+    if (!type) {
+      errors.push(`Interview type must be one of: ${typeNames}`);
+    }
+
+    if (!hasValidTimes) {
+      errors.push('Invalid start or end time');
+    } else {
+      if (start <= now) {
+        errors.push('Start time must be in the future');
+      }
+
+      if (end <= start) {
+        errors.push('End time must be after start time');
+      } else if (type) {
+        // Same 1 minute tolerance as the model's pre-save check
+        const durationError = getDurationError(type, start, end);
+        if (durationError) {
+          errors.push(durationError);
+        }
+      }
+    }
+
+    return {
+      index,
+      start: hasValidTimes ? start : entry.start,
+      end: hasValidTimes ? end : entry.end,
+      interviewType: entry.interviewType,
+      errors
+    };
+  });
+
+  const timed = report.filter(item => item.start instanceof Date && item.end instanceof Date && item.end > item.start);
+
+  if (timed.length > 0) {
+    const earliestStart = new Date(Math.min(...timed.map(item => item.start.getTime())));
+    const latestEnd = new Date(Math.max(...timed.map(item => item.end.getTime())));
+
+    const existingSlots = await InterviewSlot.find({
+      interviewer: interviewerId,
+      startTime: { $lt: latestEnd },
+      endTime: { $gt: earliestStart }
+    }).select('startTime endTime');
+
+    for (const item of timed) {
+      if (existingSlots.some(slot => overlaps(item, { start: slot.startTime, end: slot.endTime }))) {
+        item.errors.push('Slot overlaps with an existing slot');
+      }
+
+      const clashes = timed.filter(other => other !== item && overlaps(item, other));
+      if (clashes.length > 0) {
+        item.errors.push(`Slot overlaps with entry ${clashes.map(other => other.index).join(', ')} in this request`);
+      }
+    }
+  }
+
+  return report.map(item => ({ ...item, valid: item.errors.length === 0 }));
+};
+
+module.exports = {
+  validateSlotEntries
+};
@@ -0,0 +1,36 @@
+const { DateTime, IANAZone } = require('luxon');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {String} timeZone - e.g. 'America/New_York'
+ * @returns {Boolean}
+ */
+const isValidTimeZone = (timeZone) => typeof timeZone === 'string' && IANAZone.isValidZone(timeZone);
+
+/**
+ * Add viewer-local start/end strings to a plain slot object
+ * @param {Object} slot - Slot as a plain object (e.g. from toObject())
+ * @param {String} viewerTimeZone - IANA timezone of the viewer; falls back to the slot's timezone
+ * @returns {Object} - The slot with localStartTime, localEndTime, localTimeLabel and viewerTimeZone
+ */
+const localizeSlot = (slot, viewerTimeZone) => {
+  const zone = viewerTimeZone || slot.timeZone || DEFAULT_TIMEZONE;
+  const start = DateTime.fromJSDate(new Date(slot.startTime)).setZone(zone);
+  const end = DateTime.fromJSDate(new Date(slot.endTime)).setZone(zone);
+
+  return {
+    ...slot,
+    viewerTimeZone: zone,
+    localStartTime: start.toISO(),
+    localEndTime: end.toISO(),
+    localTimeLabel: `${start.toFormat('ccc, LLL d, yyyy, h:mm a')} - ${end.toFormat('h:mm a ZZZZ')}`
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  localizeSlot
+};
@@ -0,0 +1,222 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const InterviewSlot = require('../models/InterviewSlot');
+const Interview = require('../models/Interview');
+const User = require('../models/User');
+const { placeHold } = require('./slotBooking');
+const { checkSlotLimits } = require('./interviewerLimits');
+const { sendWaitlistSlotOffer } = require('./email');
+
+// How long a freed slot is held exclusively for the next waitlisted candidate
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES) || 30;
+
+/**
+ * Build the query for waiting entries that a slot satisfies
+ * @param {Object} slot - The interview slot
+ * @param {Array} excludedCandidates - Candidates that already have an open offer
+ * @returns {Object} - WaitlistEntry query
+ */
+const matchingEntriesQuery = (slot, excludedCandidates) => ({
+  status: 'waiting',
+  interviewType: slot.interviewType,
+  candidate: { $nin: excludedCandidates },
+  passedSlots: { $ne: slot._id },
+  $and: [
+    { $or: [{ interviewer: null }, { interviewer: slot.interviewer }] },
+    { $or: [{ windowStart: null }, { windowStart: { $lte: slot.startTime } }] },
+    { $or: [{ windowEnd: null }, { windowEnd: { $gte: slot.endTime } }] }
+  ]
+});
+
+/**
+ * Check whether a candidate is free to take a slot, i.e. has not booked
+ * another interview at the same time since joining the waitlist
+ * @param {String} candidateId - The waitlisted candidate
+ * @param {Object} slot - The interview slot
+ * @returns {Promise<Boolean>}
+ */
+const isCandidateFree = async (candidateId, slot) => {
+  const interviews = await Interview.find({
+    candidate: candidateId,
+    status: { $in: ['scheduled', 'in-progress'] },
+    scheduledDate: { $lt: slot.endTime }
+  }).select('scheduledDate duration');
+
+  return !interviews.some(interview =>
+    interview.scheduledDate.getTime() + (interview.duration || 0) * 60 * 1000 > slot.startTime.getTime()
+  );
+};
+
+/**
+ * Count the waiting entries that compete with an entry for the same slots:
+ * same interview type, a compatible interviewer and an overlapping date window,
+ * joined no later than the entry itself
+ * @param {Object} entry - The waitlist entry
+ * @returns {Promise<Number>} - The entry's position in line, starting at 1
+ */
+const getWaitlistPosition = async (entry) => {
+  const conditions = [];
+  if (entry.interviewer) {
+    conditions.push({ $or: [{ interviewer: null }, { interviewer: entry.interviewer }] });
+  }
+  if (entry.windowEnd) {
+    conditions.push({ $or: [{ windowStart: null }, { windowStart: { $lt: entry.windowEnd } }] });
+  }
+  if (entry.windowStart) {
+    conditions.push({ $or: [{ windowEnd: null }, { windowEnd: { $gt: entry.windowStart } }] });
+  }
+
+  return await WaitlistEntry.countDocuments({
+    status: 'waiting',
+    interviewType: entry.interviewType,
+    createdAt: { $lte: entry.createdAt },
+    ...(conditions.length > 0 ? { $and: conditions } : {})
+  });
+};
+
+/**
+ * Offer a free slot to the waitlist.
+ * Matching entries are tried in the order they joined; the first candidate who
+ * is free at that time gets an exclusive hold on the slot and an email. When that
+ * offer expires unused, the slot moves on to the next candidate (see expireWaitlistOffers).
+ * Errors are logged and never thrown so slot creation and cancellation are not affected.
+ * @param {String} slotId - The ID of the slot that was created or freed
+ * @returns {Promise<Object|null>} - The entry the slot was offered to, or null
+ */
+const offerSlotToWaitlist = async (slotId) => {
+  try {
+    const slot = await InterviewSlot.findById(slotId);
+    if (!slot || slot.isBooked || slot.startTime <= new Date()) {
+      return null;
+    }
+
+    // Nothing to offer while the interviewer is blacked out or at a cap
+    if (await checkSlotLimits(slot)) {
+      return null;
+    }
+
+    // One open offer per candidate at a time
+    const offeredCandidates = await WaitlistEntry.distinct('candidate', { status: 'offered' });
+
+    const entries = await WaitlistEntry.find(matchingEntriesQuery(slot, offeredCandidates))
+      .sort({ createdAt: 1 });
+
+    for (const entry of entries) {
+      // Skip candidates who booked another interview at this time; they keep their place
+      if (!(await isCandidateFree(entry.candidate, slot))) {
+        continue;
+      }
+
+      const heldSlot = await placeHold(slot._id, entry.candidate, WAITLIST_HOLD_MINUTES);
+      if (!heldSlot) {
+        // Booked or held by someone else in the meantime
+        return null;
+      }
+
+      entry.status = 'offered';
+      entry.offeredSlot = slot._id;
+      entry.offeredAt = new Date();
+      entry.offerExpiresAt = heldSlot.holdExpiresAt;
+      await entry.save();
+
+      try {
+        const candidate = await User.findById(entry.candidate);
+        const interviewer = await User.findById(slot.interviewer);
+        if (candidate && interviewer) {
+          await sendWaitlistSlotOffer(heldSlot, candidate, interviewer, heldSlot.holdExpiresAt);
+        }
+      } catch (emailError) {
+        console.error('Error sending waitlist offer email:', emailError);
+      }
+
+      return entry;
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`Error offering slot ${slotId} to the waitlist:`, error);
+    return null;
+  }
+};
+
+/**
+ * Mark a candidate's offer for a slot as fulfilled once they book it
+ * @param {String} candidateId - The candidate who booked
+ * @param {String} slotId - The booked slot
+ */
+const fulfillWaitlistOffer = async (candidateId, slotId) => {
+  try {
+    await WaitlistEntry.updateMany(
+      { candidate: candidateId, offeredSlot: slotId, status: 'offered' },
+      { $set: { status: 'fulfilled' } }
+    );
+  } catch (error) {
+    console.error('Error fulfilling waitlist offer:', error);
+  }
+};
+
+/**
+ * Put a candidate back in line after an unused offer and pass the slot on
+ * @param {Object} entry - The offered waitlist entry
+ */
+const returnOfferToWaitlist = async (entry) => {
+  const slotId = entry.offeredSlot;
+
+  entry.status = 'waiting';
+  entry.passedSlots.push(slotId);
+  entry.offeredSlot = undefined;
+  entry.offeredAt = undefined;
+  entry.offerExpiresAt = undefined;
+  await entry.save();
+
+  await offerSlotToWaitlist(slotId);
+};
+
+/**
+ * Expire unused offers and entries whose date window has passed.
+ * An offer stays open while the candidate still holds the slot, e.g. during
+ * a pre-booking payment that extended the hold.
+ */
+const expireWaitlistOffers = async () => {
+  const now = new Date();
+
+  const expiredOffers = await WaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: now }
+  }).sort({ createdAt: 1 });
+
+  for (const entry of expiredOffers) {
+    try {
+      const slot = await InterviewSlot.findById(entry.offeredSlot);
+      if (
+        slot &&
+        slot.heldBy &&
+        slot.heldBy.toString() === entry.candidate.toString() &&
+        slot.holdExpiresAt > now
+      ) {
+        continue;
+      }
+
+      await returnOfferToWaitlist(entry);
+    } catch (error) {
+      console.error(`Error expiring waitlist offer ${entry._id}:`, error);
+    }
+  }
+
+  const expiredEntries = await WaitlistEntry.updateMany(
+    { status: 'waiting', windowEnd: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  if (expiredOffers.length > 0 || expiredEntries.modifiedCount > 0) {
+    console.log(`Processed ${expiredOffers.length} expired waitlist offers, expired ${expiredEntries.modifiedCount} waitlist entries`);
+  }
+};
+
+module.exports = {
+  WAITLIST_HOLD_MINUTES,
+  getWaitlistPosition,
+  offerSlotToWaitlist,
+  fulfillWaitlistOffer,
+  returnOfferToWaitlist,
+  expireWaitlistOffers
+};